@@ -19,6 +19,20 @@ export function getVisibleColumns(context) {
  * @returns {boolean} True if column is visible
  */
 export function isColumnVisible(context, columnName) {
+    // Hidden to fit the container width (responsive mode)
+    if (context._responsiveHidden?.has(columnName)) return false;
+    return isColumnEnabled(context, columnName);
+}
+
+/**
+ * Check if a column is switched on in the visibility state
+ * Columns hidden by responsive mode count as enabled, so the column menu
+ * and exports keep them.
+ * @param {Object} context - DataTable instance context
+ * @param {string} columnName - Name of the column
+ * @returns {boolean} True if column is enabled
+ */
+export function isColumnEnabled(context, columnName) {
     // Check visibility state first, then fall back to column.visible property
     if (context.columnVisibilityState.hasOwnProperty(columnName)) {
         return context.columnVisibilityState[columnName] !== false;
@@ -205,7 +219,7 @@ export function bindColumnVisibilityButton(context) {
 
     context.columns.forEach((column) => {
         const isRequired = column.required === true;
-        const isVisible = isColumnVisible(context, column.name);
+        const isVisible = isColumnEnabled(context, column.name);
 
         const item = document.createElement("div");
         item.className =
@@ -242,7 +256,7 @@ export function bindColumnVisibilityButton(context) {
             if (!isRequired) {
                 toggleColumnVisibility(context, column.name, checkbox.checked);
                 // Update checkbox state after toggle (in case it was prevented)
-                checkbox.checked = isColumnVisible(context, column.name);
+                checkbox.checked = isColumnEnabled(context, column.name);
             } else {
                 // Prevent unchecking required columns
                 checkbox.checked = true;
@@ -318,7 +332,7 @@ export function bindColumnVisibilityButton(context) {
         // Update all checkboxes
         context.columns.forEach((col) => {
             const cb = document.getElementById(`col-vis-${col.name}`);
-            if (cb) cb.checked = isColumnVisible(context, col.name);
+            if (cb) cb.checked = isColumnEnabled(context, col.name);
         });
     });
 
@@ -332,7 +346,7 @@ export function bindColumnVisibilityButton(context) {
         // Update all checkboxes
         context.columns.forEach((col) => {
             const cb = document.getElementById(`col-vis-${col.name}`);
-            if (cb) cb.checked = isColumnVisible(context, col.name);
+            if (cb) cb.checked = isColumnEnabled(context, col.name);
         });
     });
 
@@ -346,7 +360,7 @@ export function bindColumnVisibilityButton(context) {
         // Update all checkboxes
         context.columns.forEach((col) => {
             const cb = document.getElementById(`col-vis-${col.name}`);
-            if (cb) cb.checked = isColumnVisible(context, col.name);
+            if (cb) cb.checked = isColumnEnabled(context, col.name);
         });
     });
 
@@ -416,7 +430,7 @@ export function bindColumnVisibilityButton(context) {
             context.columns.forEach((col) => {
                 const cb = document.getElementById(`col-vis-${col.name}`);
                 if (cb) {
-                    cb.checked = isColumnVisible(context, col.name);
+                    cb.checked = isColumnEnabled(context, col.name);
                 }
             });
         }
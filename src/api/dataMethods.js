@@ -12,6 +12,33 @@ export function getData(context) {
     return [...context.data]; // shallow copy
 }
 
+/**
+ * Replace the local dataset (client-side mode)
+ * @param {Object} context - DataTable instance
+ * @param {Array} rows - New dataset
+ * @returns {boolean} Success status
+ */
+export function setData(context, rows) {
+    if (!Array.isArray(rows)) {
+        throw new TypeError("setData expects an array");
+    }
+
+    if (context.serverSide) {
+        console.warn("setData() is only available in client-side mode");
+        return false;
+    }
+
+    context.sourceData = [...rows];
+    context.currentPage = 1;
+    invalidateCache(context);
+
+    if (context.fetchData) {
+        context.fetchData();
+    }
+
+    return true;
+}
+
 /**
  * Get row data by ID
  * @param {Object} context - DataTable instance
@@ -70,16 +97,20 @@ export function addRow(context, rowData, silent = false) {
         return false;
     }
 
-    if (getRowData(context, rowData.id)) {
+    const rows = context.serverSide ? context.data : context.sourceData;
+    if (rows.some((row) => row.id === rowData.id)) {
         console.warn(`Row with id ${rowData.id} already exists`);
         return false;
     }
 
-    context.data.push(rowData);
-
-    if (!silent && context.renderTable) {
-        context.renderTable(context.data);
+    if (context.serverSide) {
+        context.data.push(rowData);
+    } else {
+        context.sourceData.push(rowData);
     }
+    invalidateCache(context);
+
+    if (!silent) refresh(context);
 
     return true;
 }
@@ -98,9 +129,7 @@ export function addRows(context, rowsData, silent = false) {
 
     const added = rowsData.map((r) => addRow(context, r, true)); // silent single adds
 
-    if (!silent && context.renderTable && added.length) {
-        context.renderTable(context.data);
-    }
+    if (!silent && added.length) refresh(context);
 
     return added.length > 0;
 }
@@ -115,13 +144,23 @@ export function addRows(context, rowsData, silent = false) {
  */
 export function updateRow(context, rowId, updates, silent = false) {
     const index = context.data.findIndex((row) => row.id === rowId);
-    if (index === -1) return false;
+    const sourceIndex = context.serverSide
+        ? -1
+        : context.sourceData.findIndex((row) => row.id === rowId);
+    if (index === -1 && sourceIndex === -1) return false;
 
-    context.data[index] = { ...context.data[index], ...updates };
-
-    if (!silent && context.renderTable) {
-        context.renderTable(context.data);
+    if (index !== -1) {
+        context.data[index] = { ...context.data[index], ...updates };
     }
+    if (sourceIndex !== -1) {
+        context.sourceData[sourceIndex] = {
+            ...context.sourceData[sourceIndex],
+            ...updates,
+        };
+    }
+    invalidateCache(context);
+
+    if (!silent) refresh(context);
 
     return true;
 }
@@ -140,9 +179,7 @@ export function updateRows(context, updates, silent = false) {
         if (result) updated.push(result);
     });
 
-    if (!silent && context.renderTable && updated.length) {
-        context.renderTable(context.data);
-    }
+    if (!silent && updated.length) refresh(context);
 
     return updated.length > 0;
 }
@@ -156,13 +193,16 @@ export function updateRows(context, updates, silent = false) {
  */
 export function deleteRow(context, rowId, silent = false) {
     const index = context.data.findIndex((row) => row.id === rowId);
-    if (index === -1) return false;
+    const sourceIndex = context.serverSide
+        ? -1
+        : context.sourceData.findIndex((row) => row.id === rowId);
+    if (index === -1 && sourceIndex === -1) return false;
 
-    context.data.splice(index, 1);
+    if (index !== -1) context.data.splice(index, 1);
+    if (sourceIndex !== -1) context.sourceData.splice(sourceIndex, 1);
+    invalidateCache(context);
 
-    if (!silent && context.renderTable) {
-        context.renderTable(context.data);
-    }
+    if (!silent) refresh(context);
 
     return true;
 }
@@ -183,21 +223,49 @@ export function deleteRows(context, ids, silent = false) {
         if (result) removed.push(result);
     });
 
-    if (!silent && context.renderTable && removed.length) {
-        context.renderTable(context.data);
-    }
+    if (!silent && removed.length) refresh(context);
 
     return removed.length > 0;
 }
 
+/**
+ * Drop cached pages after a data change so they aren't served stale
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function invalidateCache(context) {
+    if (typeof context.clearCache === "function") {
+        context.clearCache();
+    }
+}
+
+/**
+ * Re-render after a data change
+ * In client-side mode the query is re-run so sorting, filtering and
+ * pagination reflect the change; otherwise the current rows are redrawn.
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function refresh(context) {
+    if (!context.serverSide && context.fetchData) {
+        context.fetchData();
+    } else if (context.renderTable) {
+        context.renderTable(context.data);
+    }
+}
+
 /**
  * Redraw the table
+ * Every row is re-rendered: rows edited in place are the same objects the
+ * keyed renderer compares against, so it can't see what changed.
  * @param {Object} context - DataTable instance
  */
 export function redraw(context) {
     if (!context || typeof context.renderTable !== "function") {
         throw new Error("redraw(): renderTable method not found on instance");
     }
+    // A changed render key makes patchRows() rebuild every row's cells
+    context._renderKey = null;
     context.renderTable(context.data);
 }
 
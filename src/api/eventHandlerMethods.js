@@ -1,6 +1,6 @@
 /**
  * Event Handler API Methods
- * Public API methods for handling row and cell events
+ * Public API methods for handling row, cell and data error events
  */
 
 /**
@@ -78,6 +78,45 @@ export function onRowHover(context, callback) {
     }
 }
 
+/**
+ * Register a callback for failed data requests
+ * Called once all retries are exhausted.
+ * @param {Object} context - DataTable instance
+ * @param {Function} callback - Callback function (error, { query, attempts })
+ * @returns {void}
+ */
+export function onError(context, callback) {
+    if (typeof callback !== "function") {
+        console.warn("onError requires a function callback");
+        return;
+    }
+
+    if (!context._errorCallbacks) {
+        context._errorCallbacks = [];
+    }
+
+    context._errorCallbacks.push(callback);
+}
+
+/**
+ * Notify error callbacks about a failed data request
+ * @param {Object} context - DataTable instance
+ * @param {Error} error - Error thrown by the data adapter
+ * @param {Object} details - { query, attempts }
+ * @returns {void}
+ */
+export function emitError(context, error, details) {
+    if (!context._errorCallbacks) return;
+
+    context._errorCallbacks.forEach((cb) => {
+        try {
+            cb(error, details);
+        } catch (callbackError) {
+            console.error("Error in error callback:", callbackError);
+        }
+    });
+}
+
 /**
  * Remove all row click callbacks
  * @param {Object} context - DataTable instance
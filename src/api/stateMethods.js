@@ -20,6 +20,9 @@ export function saveState(context) {
         columnVisibility: context.columnVisibility.persistState
             ? context.columnVisibilityState
             : undefined,
+        columnPins: context.columnPinState,
+        columnWidths: context.columnWidthState,
+        columnOrder: context._columnOrder,
         timestamp: Date.now(),
     };
     localStorage.setItem(
@@ -68,6 +71,21 @@ export function loadState(context) {
             ...state.columnVisibility,
         };
     }
+
+    // Restore pinned columns (applied to the column order by init())
+    if (state.columnPins && typeof state.columnPins === "object") {
+        context.columnPinState = { ...state.columnPins };
+    }
+
+    // Restore resized column widths
+    if (state.columnWidths && typeof state.columnWidths === "object") {
+        context.columnWidthState = { ...state.columnWidths };
+    }
+
+    // Restore the column order (applied by init(), unknown names are ignored)
+    if (Array.isArray(state.columnOrder)) {
+        context._columnOrder = [...state.columnOrder];
+    }
 }
 
 /**
@@ -73,6 +73,7 @@ export const DEFAULT_THEME = {
 
         editableInput: "input input-bordered input-sm w-full",
         editableSelect: "select select-bordered select-sm w-full",
+        editableCheckbox: "checkbox checkbox-sm",
         borderSuccess: "border-success",
         borderError: "border-error",
         borderLoading: "border-warning",
@@ -105,6 +106,72 @@ export const DEFAULT_THEME = {
         exportProgressTime: "text-center text-xs text-base-content/70 mb-3",
         exportProgressNote: "text-center text-xs mb-3",
         exportProgressCancel: "btn btn-sm btn-outline w-full",
+
+        // Error state (failed data request)
+        errorStateCell: "text-center py-6",
+        errorStateMessage: "text-error text-sm mb-3",
+        errorStateButton: "btn btn-sm btn-outline btn-error",
+
+        // Live updates: changed cells flash briefly
+        cellFlash: "bg-warning/30 transition-colors duration-700",
+
+        // Expandable row details
+        rowDetailsRow: "bg-base-200/50",
+        rowDetailsCell: "px-4 py-3",
+        rowDetailsToggle: "btn btn-ghost btn-xs btn-square mr-2",
+        rowDetailsLoading: "loading loading-dots loading-sm",
+
+        // Tree rows: expand/collapse toggle
+        treeToggle: "btn btn-ghost btn-xs btn-square mr-1",
+
+        // Row grouping: group header rows
+        groupRow: "bg-base-200",
+        groupCell: "py-2 text-sm font-semibold",
+        groupToggle: "btn btn-ghost btn-xs btn-square mr-1",
+        groupLabel: "mr-2",
+
+        // Footer: page and grand total rows
+        footer: "font-semibold",
+        footerRow: "bg-base-200",
+        footerTotalRow: "bg-base-300",
+        footerCell: "text-sm",
+
+        // Pinned columns: sticky cells need an opaque background
+        pinnedCell: "bg-base-100",
+        pinnedHeaderCell: "bg-base-200",
+        pinnedEdgeLeft: "shadow-[2px_0_4px_-2px_rgba(0,0,0,0.2)]",
+        pinnedEdgeRight: "shadow-[-2px_0_4px_-2px_rgba(0,0,0,0.2)]",
+
+        // Column resizing: drag handle at the right edge of <th>
+        resizeHandle: "hover:bg-primary/40 transition-colors",
+
+        // Column reordering: dragged header and drop position
+        reorderDragging: "opacity-50",
+        reorderTargetBefore: "border-l-2 border-l-primary",
+        reorderTargetAfter: "border-r-2 border-r-primary",
+
+        // Row reordering: drag handle, dragged row and drop position
+        rowReorderHandle: "mr-2 select-none opacity-50 hover:opacity-100",
+        rowReorderDragging: "opacity-50",
+        rowReorderTargetBefore: "border-t-2 border-t-primary",
+        rowReorderTargetAfter: "border-b-2 border-b-primary",
+
+        // Responsive: columns that don't fit, listed below the row
+        responsiveToggle: "btn btn-ghost btn-xs btn-square mr-2",
+        responsiveRow: "bg-base-200/50",
+        responsiveCell: "px-4 py-2",
+        responsiveList: "grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm",
+        responsiveLabel: "font-semibold",
+        responsiveValue: "",
+
+        // Card view: one card per row, label/value pairs
+        card: "card card-border bg-base-100 p-4 space-y-2",
+        cardField: "flex justify-between gap-4",
+        cardLabel: "text-sm font-semibold opacity-70",
+        cardValue: "text-right",
+
+        // Conditional formatting: icon in front of the value
+        conditionalIcon: "mr-1",
     },
     tailwind: {
         controlsContainer:
@@ -184,6 +251,8 @@ export const DEFAULT_THEME = {
             "border px-2 py-1 w-full rounded focus:outline-none focus:ring-2 focus:ring-primary",
         editableSelect:
             "border px-2 py-1 w-full rounded focus:outline-none focus:ring-2 focus:ring-primary",
+        editableCheckbox:
+            "h-4 w-4 rounded border-gray-300 focus:ring-2 focus:ring-primary",
         borderSuccess: "border-green-500",
         borderError: "border-red-500",
         borderLoading: "border-yellow-500",
@@ -293,6 +362,8 @@ export const DEFAULT_THEME = {
             "border px-2 py-1 w-full rounded focus:outline-none focus:ring-2 focus:ring-primary",
         editableSelect:
             "border px-2 py-1 w-full rounded focus:outline-none focus:ring-2 focus:ring-primary",
+        editableCheckbox:
+            "h-4 w-4 rounded border-gray-300 focus:ring-2 focus:ring-primary",
         borderSuccess: "border-green-500",
         borderError: "border-red-500",
         borderLoading: "border-yellow-500",
@@ -327,6 +398,83 @@ export const DEFAULT_THEME = {
         exportProgressNote: "text-center text-xs mb-3",
         exportProgressCancel:
             "px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded text-sm w-full text-gray-800",
+
+        // Error state (failed data request)
+        errorStateCell: "text-center py-6",
+        errorStateMessage: "text-sm text-red-600 dark:text-red-400 mb-3",
+        errorStateButton:
+            "cursor-pointer rounded-md text-sm px-3 py-1.5 border border-red-300 text-red-700 hover:bg-red-50 dark:border-red-700 dark:text-red-400 dark:hover:bg-red-900/30 transition shadow-sm",
+
+        // Live updates: changed cells flash briefly
+        cellFlash:
+            "bg-yellow-100 dark:bg-yellow-900/40 transition-colors duration-700",
+
+        // Expandable row details
+        rowDetailsRow: "bg-gray-50 dark:bg-gray-800/50",
+        rowDetailsCell:
+            "px-4 py-3 text-sm text-gray-700 dark:text-gray-300 border-b border-gray-200 dark:border-gray-700",
+        rowDetailsToggle:
+            "cursor-pointer inline-flex items-center justify-center w-6 h-6 mr-2 rounded text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700",
+        rowDetailsLoading: "text-sm text-gray-500 dark:text-gray-400",
+
+        // Tree rows: expand/collapse toggle
+        treeToggle:
+            "cursor-pointer inline-flex items-center justify-center w-6 h-6 mr-1 rounded text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:cursor-default",
+
+        // Row grouping: group header rows
+        groupRow: "bg-gray-100 dark:bg-gray-800",
+        groupCell:
+            "px-3 py-2 text-sm font-semibold text-gray-700 dark:text-gray-200 border-b border-gray-200 dark:border-gray-700",
+        groupToggle:
+            "cursor-pointer inline-flex items-center justify-center w-6 h-6 mr-1 rounded text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700",
+        groupLabel: "mr-2",
+
+        // Footer: page and grand total rows
+        footer: "bg-gray-50 dark:bg-gray-800 font-semibold",
+        footerRow: "border-t border-gray-200 dark:border-gray-700",
+        footerTotalRow:
+            "border-t-2 border-gray-300 dark:border-gray-600 bg-gray-100 dark:bg-gray-700",
+        footerCell: "px-3 py-2 text-sm text-gray-700 dark:text-gray-200",
+
+        // Pinned columns: sticky cells need an opaque background
+        pinnedCell: "bg-white dark:bg-gray-900",
+        pinnedHeaderCell: "bg-gray-100 dark:bg-gray-800",
+        pinnedEdgeLeft: "shadow-[2px_0_4px_-2px_rgba(0,0,0,0.2)]",
+        pinnedEdgeRight: "shadow-[-2px_0_4px_-2px_rgba(0,0,0,0.2)]",
+
+        // Column resizing: drag handle at the right edge of <th>
+        resizeHandle:
+            "hover:bg-blue-400/50 dark:hover:bg-blue-500/50 transition-colors",
+
+        // Column reordering: dragged header and drop position
+        reorderDragging: "opacity-50",
+        reorderTargetBefore: "border-l-2 border-l-blue-500",
+        reorderTargetAfter: "border-r-2 border-r-blue-500",
+
+        // Row reordering: drag handle, dragged row and drop position
+        rowReorderHandle:
+            "mr-2 select-none text-gray-400 hover:text-gray-700 dark:hover:text-gray-200",
+        rowReorderDragging: "opacity-50",
+        rowReorderTargetBefore: "border-t-2 border-t-blue-500",
+        rowReorderTargetAfter: "border-b-2 border-b-blue-500",
+
+        // Responsive: columns that don't fit, listed below the row
+        responsiveToggle:
+            "inline-flex items-center justify-center w-5 h-5 mr-2 rounded text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700",
+        responsiveRow: "bg-gray-50 dark:bg-gray-800/50",
+        responsiveCell: "px-4 py-2",
+        responsiveList: "grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm",
+        responsiveLabel: "font-medium text-gray-700 dark:text-gray-300",
+        responsiveValue: "text-gray-600 dark:text-gray-400",
+
+        // Card view: one card per row, label/value pairs
+        card: "p-4 space-y-2 rounded-lg border border-gray-200 bg-white shadow-sm dark:border-gray-700 dark:bg-gray-900",
+        cardField: "flex justify-between gap-4",
+        cardLabel: "text-sm font-medium text-gray-500 dark:text-gray-400",
+        cardValue: "text-right text-gray-900 dark:text-gray-100",
+
+        // Conditional formatting: icon in front of the value
+        conditionalIcon: "mr-1",
     },
     bootstrap: {
         // Container with padding but no fixed background color
@@ -391,6 +539,7 @@ export const DEFAULT_THEME = {
 
         editableInput: "form-control",
         editableSelect: "form-select",
+        editableCheckbox: "form-check-input",
         borderSuccess: "border-success",
         borderError: "border-danger",
         borderLoading: "border-warning",
@@ -421,5 +570,71 @@ export const DEFAULT_THEME = {
         exportProgressTime: "text-center text-body-secondary mb-3",
         exportProgressNote: "text-center mb-3",
         exportProgressCancel: "btn btn-secondary w-100",
+
+        // Error state (failed data request)
+        errorStateCell: "text-center py-4",
+        errorStateMessage: "text-danger small mb-2",
+        errorStateButton: "btn btn-sm btn-outline-danger",
+
+        // Live updates: changed cells flash briefly
+        cellFlash: "bg-warning-subtle",
+
+        // Expandable row details
+        rowDetailsRow: "table-light",
+        rowDetailsCell: "px-3 py-2",
+        rowDetailsToggle: "btn btn-sm btn-link p-0 me-2 text-decoration-none",
+        rowDetailsLoading: "text-muted small",
+
+        // Tree rows: expand/collapse toggle
+        treeToggle: "btn btn-sm btn-link p-0 me-1 text-decoration-none",
+
+        // Row grouping: group header rows
+        groupRow: "table-secondary",
+        groupCell: "fw-semibold small",
+        groupToggle: "btn btn-sm btn-link p-0 me-1 text-decoration-none",
+        groupLabel: "me-2",
+
+        // Footer: page and grand total rows
+        footer: "fw-semibold",
+        footerRow: "table-light",
+        footerTotalRow: "table-secondary",
+        footerCell: "small",
+
+        // Pinned columns: sticky cells need an opaque background
+        pinnedCell: "bg-body",
+        pinnedHeaderCell: "bg-body-tertiary",
+        pinnedEdgeLeft: "border-end",
+        pinnedEdgeRight: "border-start",
+
+        // Column resizing: drag handle at the right edge of <th>
+        resizeHandle: "border-end",
+
+        // Column reordering: dragged header and drop position
+        reorderDragging: "opacity-50",
+        reorderTargetBefore: "border-start border-2 border-primary",
+        reorderTargetAfter: "border-end border-2 border-primary",
+
+        // Row reordering: drag handle, dragged row and drop position
+        rowReorderHandle: "me-2 user-select-none text-body-secondary",
+        rowReorderDragging: "opacity-50",
+        rowReorderTargetBefore: "border-top border-2 border-primary",
+        rowReorderTargetAfter: "border-bottom border-2 border-primary",
+
+        // Responsive: columns that don't fit, listed below the row
+        responsiveToggle: "btn btn-sm btn-link p-0 me-2 text-decoration-none",
+        responsiveRow: "table-light",
+        responsiveCell: "py-2",
+        responsiveList: "row mb-0 small",
+        responsiveLabel: "col-5 col-sm-4 fw-semibold",
+        responsiveValue: "col-7 col-sm-8 mb-1",
+
+        // Card view: one card per row, label/value pairs
+        card: "card card-body p-3",
+        cardField: "d-flex justify-content-between gap-3",
+        cardLabel: "small fw-semibold text-body-secondary",
+        cardValue: "text-end",
+
+        // Conditional formatting: icon in front of the value
+        conditionalIcon: "me-1",
     },
 };
@@ -1,6 +1,6 @@
-import { Selectable } from "./selectable";
-import { KeyboardNavigation } from "./keyboard-navigation";
-import { DEFAULT_THEME } from "./datatable-theme";
+import { Selectable } from "./selectable.js";
+import { KeyboardNavigation } from "./keyboard-navigation.js";
+import { DEFAULT_THEME } from "./datatable-theme.js";
 import { downloadPdf as exportPdf } from "./exports/pdfExportMethods.js";
 import { printTable as exportPrint } from "./exports/printExportMethods.js";
 import {
@@ -10,6 +10,7 @@ import {
 import { exportToExcel as exportExcel } from "./exports/excelExportMethods.js";
 import {
     getData as apiGetData,
+    setData as apiSetData,
     getRowData as apiGetRowData,
     getRowIndex as apiGetRowIndex,
     getRowsBy as apiGetRowsBy,
@@ -54,6 +55,145 @@ import {
     bindPaginationButtons as internalBindPaginationButtons,
     updatePagination as internalUpdatePagination,
 } from "./methods/paginationMethods.js";
+import {
+    resolveDataAdapter as internalResolveDataAdapter,
+    buildTableQuery as internalBuildTableQuery,
+    loadDataWithRetry as internalLoadDataWithRetry,
+} from "./methods/dataAdapterMethods.js";
+import {
+    normalizeCacheConfig as internalNormalizeCacheConfig,
+    readCache as internalReadCache,
+    writeCache as internalWriteCache,
+    clearCache as internalClearCache,
+    prefetchNextPage as internalPrefetchNextPage,
+} from "./methods/cacheMethods.js";
+import {
+    normalizeLiveConfig as internalNormalizeLiveConfig,
+    startLive as internalStartLive,
+    stopLive as internalStopLive,
+    applyLiveUpdate as internalApplyLiveUpdate,
+} from "./methods/liveMethods.js";
+import {
+    createRowElement as internalCreateRowElement,
+    patchRows as internalPatchRows,
+    canPatchRows as internalCanPatchRows,
+    animateRows as internalAnimateRows,
+    normalizeRowAnimationConfig as internalNormalizeRowAnimationConfig,
+    syncSelection as internalSyncSelection,
+} from "./methods/rowPatchMethods.js";
+import {
+    normalizeVirtualScrollConfig as internalNormalizeVirtualScrollConfig,
+    initVirtualScroll as internalInitVirtualScroll,
+    renderVirtualRows as internalRenderVirtualRows,
+    destroyVirtualScroll as internalDestroyVirtualScroll,
+} from "./methods/virtualScrollMethods.js";
+import {
+    normalizeRowDetailsConfig as internalNormalizeRowDetailsConfig,
+    decorateToggleCell as internalDecorateToggleCell,
+    syncRowDetails as internalSyncRowDetails,
+    bindRowDetailsClick as internalBindRowDetailsClick,
+    expandRow as internalExpandRow,
+    collapseRow as internalCollapseRow,
+    toggleRow as internalToggleRow,
+    getExpandedIds as internalGetExpandedIds,
+} from "./methods/rowDetailsMethods.js";
+import {
+    flattenTreeRows as internalFlattenTreeRows,
+    setTreeMeta as internalSetTreeMeta,
+} from "./methods/treeDataMethods.js";
+import {
+    normalizeTreeConfig as internalNormalizeTreeConfig,
+    initTree as internalInitTree,
+    decorateTreeCell as internalDecorateTreeCell,
+    expandNode as internalExpandNode,
+    collapseNode as internalCollapseNode,
+    toggleNode as internalToggleNode,
+    expandAllNodes as internalExpandAllNodes,
+    collapseAllNodes as internalCollapseAllNodes,
+    getExpandedNodeIds as internalGetExpandedNodeIds,
+} from "./methods/treeMethods.js";
+import {
+    normalizeRowGroupingConfig as internalNormalizeRowGroupingConfig,
+    setGroupMeta as internalSetGroupMeta,
+    syncRowGroups as internalSyncRowGroups,
+    expandGroup as internalExpandGroup,
+    collapseGroup as internalCollapseGroup,
+    toggleGroup as internalToggleGroup,
+    setAllGroupsCollapsed as internalSetAllGroupsCollapsed,
+    setGroupBy as internalSetGroupBy,
+} from "./methods/rowGroupMethods.js";
+import {
+    normalizeRowReorderConfig as internalNormalizeRowReorderConfig,
+    moveRow as internalMoveRow,
+    decorateReorderHandle as internalDecorateReorderHandle,
+    bindRowReorder as internalBindRowReorder,
+} from "./methods/rowReorderMethods.js";
+import {
+    normalizeResponsiveConfig as internalNormalizeResponsiveConfig,
+    getResponsiveHiddenColumns as internalGetResponsiveHiddenColumns,
+    updateResponsiveColumns as internalUpdateResponsiveColumns,
+    initResponsive as internalInitResponsive,
+    syncResponsiveRows as internalSyncResponsiveRows,
+    decorateResponsiveToggle as internalDecorateResponsiveToggle,
+} from "./methods/responsiveMethods.js";
+import {
+    normalizeCardViewConfig as internalNormalizeCardViewConfig,
+    setView as internalSetView,
+    getView as internalGetView,
+    initCardView as internalInitCardView,
+    bindCardViewButton as internalBindCardViewButton,
+} from "./methods/cardViewMethods.js";
+import {
+    setCellContent as internalSetCellContent,
+    highlightSearch as internalHighlightSearch,
+} from "./methods/cellRenderMethods.js";
+import {
+    getEditorType as internalGetEditorType,
+    toEditorValue as internalToEditorValue,
+    fromEditorValue as internalFromEditorValue,
+} from "./methods/formatMethods.js";
+import {
+    normalizeConditionalFormatting as internalNormalizeConditionalFormatting,
+    applyCellFormatting as internalApplyCellFormatting,
+} from "./methods/conditionalFormatMethods.js";
+import {
+    syncFooter as internalSyncFooter,
+    setFooterTotals as internalSetFooterTotals,
+} from "./methods/footerMethods.js";
+import {
+    createColumnPinState as internalCreateColumnPinState,
+    getPinSide as internalGetPinSide,
+    applyColumnPinOrder as internalApplyColumnPinOrder,
+    pinColumn as internalPinColumn,
+    syncPinnedColumns as internalSyncPinnedColumns,
+} from "./methods/columnPinMethods.js";
+import {
+    normalizeColumnResizeConfig as internalNormalizeColumnResizeConfig,
+    syncColumnWidths as internalSyncColumnWidths,
+    setColumnWidth as internalSetColumnWidth,
+    resetColumnWidths as internalResetColumnWidths,
+    autoFitColumn as internalAutoFitColumn,
+    addResizeHandle as internalAddResizeHandle,
+} from "./methods/columnResizeMethods.js";
+import {
+    getColumnOrder as internalGetColumnOrder,
+    setColumnOrder as internalSetColumnOrder,
+    moveColumn as internalMoveColumn,
+    addReorderHandlers as internalAddReorderHandlers,
+} from "./methods/columnOrderMethods.js";
+import {
+    hasTableMarkup as internalHasTableMarkup,
+    readTableMarkup as internalReadTableMarkup,
+} from "./methods/markupMethods.js";
+import {
+    normalizeAutoRefreshConfig as internalNormalizeAutoRefreshConfig,
+    startAutoRefresh as internalStartAutoRefresh,
+    stopAutoRefresh as internalStopAutoRefresh,
+} from "./methods/autoRefreshMethods.js";
+import {
+    resolveRequestMapper as internalResolveRequestMapper,
+    resolveResponseMapper as internalResolveResponseMapper,
+} from "./methods/dataMapperMethods.js";
 import {
     toggleLoadingSpinner as internalToggleLoadingSpinner,
     destroyLoadingSpinner as internalDestroyLoadingSpinner,
@@ -98,6 +238,7 @@ import {
 import {
     getVisibleColumns as apiGetVisibleColumns,
     isColumnVisible as apiIsColumnVisible,
+    isColumnEnabled as apiIsColumnEnabled,
     toggleColumnVisibility as apiToggleColumnVisibility,
     showColumn as apiShowColumn,
     hideColumn as apiHideColumn,
@@ -110,12 +251,40 @@ import {
     onRowClick as apiOnRowClick,
     onCellClick as apiOnCellClick,
     onRowHover as apiOnRowHover,
+    onError as apiOnError,
+    emitError as apiEmitError,
 } from "./api/eventHandlerMethods.js";
 
 export default class DataTable {
     constructor({
         tableId,
         url,
+        data = null, // Local dataset for client-side mode
+        serverSide = null, // Defaults to false when `data` is given, true otherwise
+        dataAdapter = null, // Custom transport: { load(query, signal) }
+        ajax = {}, // HTTP options for the default adapter
+        requestMapper = null, // (query) => params, or preset: 'laravel'|'spring'|'jsonapi'|'datatables-legacy'
+        responseMapper = null, // (json, query) => { rows, total, page, lastPage }, or preset name
+        interceptors = {}, // { request({ url, init }, query), response(json, query, res) }
+        requestTimeout = 30000, // ms before a data request is aborted, 0 disables
+        retry = {}, // { count, backoff, maxBackoff, retryOn: [status codes] }
+        onError = null, // (error, { query, attempts }) after retries are exhausted
+        cache = false, // true or { ttl, maxEntries, prefetch } to cache loaded pages
+        live = null, // EventSource | WebSocket | URL | (push) => unsubscribe, or { source, parse, flash, flashDuration }
+        autoRefresh = null, // ms or { interval, pauseWhenHidden, pauseWhileEditing }
+        fromMarkup = null, // Read columns/rows from existing <thead>/<tbody> (auto when there's no other source)
+        renderMode = "diff", // "diff" patches rows keyed by id, "replace" rebuilds the tbody
+        rowAnimation = { enabled: true, stagger: 50, maxDelay: 500 }, // or false
+        rowDetails = null, // render(row) or { render, toggleColumn, expandOnClick, singleExpand }
+        tree = null, // true or { parentField | childrenField, hasChildrenField, toggleColumn, indent, expanded, loadChildren, cascadeSelection }
+        rowGrouping = null, // "field" | ["a", "b"] | { by, aggregates, collapsed, showCount, renderHeader, exportHeaders }
+        rowReorder = null, // true or { handleColumn, onReorder({ id, fromIndex, toIndex, before, after }) }
+        responsive = false, // true or { toggleColumn, renderDetails(row, hiddenColumns) } (column.responsivePriority: lower stays longer)
+        cardView = false, // true or { view: "auto"|"card"|"table", breakpoint, showButton }
+        cardTemplate = null, // (row) => HTML string | Node for each card (default: label/value pairs)
+        sanitize = null, // (html) => safe HTML, for columns with html: true (e.g. DOMPurify.sanitize)
+        locale = undefined, // BCP 47 tag for column.format (e.g. "de-DE"), browser default if unset
+        conditionalFormatting = null, // [{ column, when: { op, value } | (value, row) => bool, cellClass, rowClass, icon, colorScale, dataBar, excelStyle }]
         perPage = 10,
         perPageOptions = [10, 25, 50],
         defaultSort = "id",
@@ -156,6 +325,8 @@ export default class DataTable {
         filterableColumns = null, // Array of column names to filter (for default inputs)
         columnGroups = [], // Add default empty array here
         stickyHeader = false,
+        columnResize = false, // true or { minWidth, maxWidth } (column.resizable / minWidth / maxWidth per column)
+        columnReorder = false, // Drag headers to reorder columns (column.reorderable: false to lock one)
 
         columnFiltering = false,
         saveStateDuration = 60 * 60 * 1000, // 1 hour
@@ -175,6 +346,12 @@ export default class DataTable {
             rowClass: "row-selected",
             backgroundClass: "bg-blue-100",
         },
+        virtualScroll = {
+            enabled: false,
+            rowHeight: null, // px, measured from the first row when null
+            buffer: 10, // extra rows rendered above and below the viewport
+            height: "70vh",
+        },
         infiniteScroll = {
             enabled: false,
             scrollOffset: 10,
@@ -214,6 +391,8 @@ export default class DataTable {
                 csv: "csv_export",
             },
             footer: true,
+            formatValues: true, // export column.format output, false for raw values
+            conditionalFormatting: false, // carry conditionalFormatting into Excel
         },
     }) {
         const infiniteScrollConfig = {
@@ -231,6 +410,65 @@ export default class DataTable {
         this.maxScrollPages = infiniteScrollConfig.maxScrollPages;
         this.scrollWrapperHeight = infiniteScrollConfig.scrollWrapperHeight;
 
+        this.renderMode = renderMode === "replace" ? "replace" : "diff";
+        this.rowAnimation = internalNormalizeRowAnimationConfig(rowAnimation);
+        this._renderedRows = [];
+
+        this.rowDetails = internalNormalizeRowDetailsConfig(rowDetails);
+        this._expandedRows = new Set();
+        this._detailRows = new Map(); // id -> { row, tr }, reused across renders
+
+        this.tree = internalNormalizeTreeConfig(tree);
+        this._treeExpandAll = this.tree?.expanded || false;
+        this._treeToggled = new Set(); // ids that differ from _treeExpandAll
+        this._treeChildren = new Map(); // parent id -> lazily loaded rows
+        this._treeLoading = new Set();
+        this._treeMeta = new Map(); // id -> { depth, parentId, expandable, expanded }
+        this._treeIndex = null;
+        this._treeRows = [];
+
+        this.rowGrouping = internalNormalizeRowGroupingConfig(rowGrouping);
+        this._groupsCollapsed = this.rowGrouping?.collapsed || false;
+        this._toggledGroups = new Set(); // keys that differ from _groupsCollapsed
+        this._groupMeta = null; // key -> { path, count, aggregates }
+
+        this.rowReorder = internalNormalizeRowReorderConfig(rowReorder);
+        this._draggedRow = null;
+
+        this.responsive = internalNormalizeResponsiveConfig(responsive);
+        this._responsiveHidden = new Set(); // hidden for space, not persisted
+        this._responsiveWidths = new Map(); // column name -> min-content px
+        this._responsiveExpanded = new Set(); // ids showing their hidden values
+
+        this._footerTotals = null; // { values, count } from the data source
+
+        this.virtualScrollConfig =
+            internalNormalizeVirtualScrollConfig(virtualScroll);
+        this.virtualScroll = this.virtualScrollConfig.enabled;
+
+        this.cardView = internalNormalizeCardViewConfig(cardView, cardTemplate);
+        if (this.cardView && this.virtualScroll) {
+            // Virtual rows need a fixed height, cards don't have one
+            console.warn("cardView isn't available with virtualScroll");
+            this.cardView = null;
+        }
+        if (this.rowGrouping && this.virtualScroll) {
+            // Group header rows aren't part of the virtual row window
+            console.warn("rowGrouping isn't available with virtualScroll");
+            this.rowGrouping = null;
+        }
+        this._cardView = false; // card layout is showing
+        this._viewMode = "auto"; // "auto" | "card" | "table"
+
+        // HTML from renderers (column.html) and card templates goes through it
+        this.sanitize = typeof sanitize === "function" ? sanitize : null;
+
+        // Intl locale for column.format
+        this.locale = locale;
+
+        this.conditionalFormatting =
+            internalNormalizeConditionalFormatting(conditionalFormatting);
+
         this.filters = filters;
 
         const selectedTheme = DEFAULT_THEME[baseTheme] || DEFAULT_THEME.daisyui;
@@ -247,7 +485,53 @@ export default class DataTable {
         this.data = [];
         this.tableId = tableId;
         this.table = document.getElementById(tableId);
+
+        // Progressive enhancement: a server-rendered table becomes the dataset
+        const readMarkup =
+            fromMarkup ??
+            (!columns.length && !url && !data && !dataAdapter);
+        if (readMarkup && internalHasTableMarkup(this.table)) {
+            const markup = internalReadTableMarkup(this.table);
+            if (!columns.length) columns = markup.columns;
+            if (!data && !url && !dataAdapter) data = markup.rows;
+            if (!sortableColumns?.length) {
+                sortableColumns = markup.sortableColumns;
+            }
+        }
+
         this.url = url;
+        // Client-side mode: sort, search, filter and paginate `data` in memory
+        this.serverSide = serverSide ?? !Array.isArray(data);
+        this.sourceData = Array.isArray(data) ? [...data] : [];
+        this.dataSrc = dataSrc || "data"; // Default to 'data' if not provided
+        this.ajax = {
+            method: (ajax?.method || "GET").toUpperCase(),
+            headers: ajax?.headers || {}, // object or (query) => object|Promise<object>
+            credentials: ajax?.credentials || null, // 'omit'|'same-origin'|'include'
+            bodyFormat: ajax?.bodyFormat === "form" ? "form" : "json", // body for non-GET requests
+        };
+        this.requestMapper = internalResolveRequestMapper(requestMapper);
+        this.responseMapper = internalResolveResponseMapper(responseMapper);
+        this.interceptors = interceptors || {};
+        this.requestTimeout = requestTimeout > 0 ? requestTimeout : 0;
+        this.retry = {
+            count: retry?.count ?? 0,
+            backoff: retry?.backoff ?? 500, // ms, doubled on every attempt
+            maxBackoff: retry?.maxBackoff ?? 10000,
+            retryOn: retry?.retryOn || [408, 429, 500, 502, 503, 504],
+        };
+        this.cache = internalNormalizeCacheConfig(cache);
+        this._cache = new Map();
+        this._prefetchControllers = new Map();
+        this.live = internalNormalizeLiveConfig(live);
+        this._liveUnsubscribe = null;
+        this.autoRefresh = internalNormalizeAutoRefreshConfig(autoRefresh);
+        this._autoRefreshTimer = null;
+        // Only the latest fetchData() call may render, see fetchData()
+        this._fetchSeq = 0;
+        this._fetchController = null;
+        // Single transport used by the grid and all exporters
+        this.dataAdapter = internalResolveDataAdapter(this, dataAdapter);
         this.rowsPerPage = perPage;
         this.perPageOptions = perPageOptions; // Store the custom per-page options
         this.sort = defaultSort;
@@ -255,7 +539,6 @@ export default class DataTable {
         this.search = "";
         // this.chunkSize = chunkSize;
         this.currentPage = 1;
-        this.dataSrc = dataSrc || "data"; // Default to 'data' if not provided
         this.enableSaveState = saveState;
         this.saveStateDuration = saveStateDuration;
 
@@ -302,6 +585,15 @@ export default class DataTable {
             this.columnVisibilityState[col.name] = col.visible !== false;
         });
 
+        // Pinned columns: { columnName: "left" | "right" }
+        this.columnPinState = internalCreateColumnPinState(this.columns);
+
+        // Resizable columns: { columnName: px }
+        this.columnResize = internalNormalizeColumnResizeConfig(columnResize);
+        this.columnWidthState = {};
+
+        this.columnReorder = columnReorder === true;
+
         // Button configuration
         this.exportable = {
             enabled: exportable.enabled !== false, // default true unless explicitly false
@@ -345,6 +637,10 @@ export default class DataTable {
                 ),
             },
             footer: exportable.footer !== false, // default true unless explicitly false
+            // true, false or per export type, e.g. { excel: false }
+            formatValues: exportable.formatValues ?? true,
+            // Native Excel conditional formats, off unless explicitly true
+            conditionalFormatting: exportable.conditionalFormatting === true,
             // Store custom elements for exports
             customElements: exportable.customElements || {
                 pdf: [],
@@ -422,6 +718,12 @@ export default class DataTable {
                 icon: `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-search-icon lucide-search"><path d="m21 21-4.34-4.34"/><circle cx="11" cy="11" r="8"/></svg>`,
                 text: "Search",
             },
+            cardView: {
+                id: `${tableId}-card-view-button`,
+                enabled: Boolean(this.cardView?.showButton),
+                icon: `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-layout-grid-icon lucide-layout-grid"><rect width="7" height="7" x="3" y="3" rx="1"/><rect width="7" height="7" x="14" y="3" rx="1"/><rect width="7" height="7" x="14" y="14" rx="1"/><rect width="7" height="7" x="3" y="14" rx="1"/></svg>`,
+                text: "Cards",
+            },
             columnVisibility: {
                 id: `${tableId}-column-visibility-button`,
                 enabled:
@@ -491,8 +793,9 @@ export default class DataTable {
                 sort: this.sort,
                 order: this.order,
                 columnFilters: this.columnFilters,
-                url: this.url,
-                dataSrc: this.dataSrc,
+                filters: this.filters,
+                dataAdapter: this.dataAdapter,
+                requestTimeout: this.requestTimeout,
                 exportable: this.exportable,
                 exportProgress: this.exportProgress,
                 showExportProgress: (type, total) =>
@@ -514,6 +817,8 @@ export default class DataTable {
 
         // ---------- Data CRUD API ----------
         this.getData = () => apiGetData(this);
+        this.setData = (rows) => apiSetData(this, rows);
+        this.clearCache = () => internalClearCache(this);
         this.getRowData = (rowId) => apiGetRowData(this, rowId);
         this.getRowIndex = (rowId) => apiGetRowIndex(this, rowId);
         this.getRowsBy = (field, value) => apiGetRowsBy(this, field, value);
@@ -530,6 +835,74 @@ export default class DataTable {
         this.redraw = () => apiRedraw(this);
         this.draw = () => apiDraw(this);
 
+        // ---------- Live updates ----------
+        this.startLive = () => internalStartLive(this);
+        this.stopLive = () => internalStopLive(this);
+        this.applyLiveUpdate = (messages) =>
+            internalApplyLiveUpdate(this, messages);
+
+        // ---------- Auto refresh ----------
+        this.startAutoRefresh = (interval) =>
+            internalStartAutoRefresh(this, interval);
+        this.stopAutoRefresh = () => internalStopAutoRefresh(this);
+
+        // ---------- Row details ----------
+        this.expandRow = (rowId) => internalExpandRow(this, rowId);
+        this.collapseRow = (rowId) => internalCollapseRow(this, rowId);
+        this.toggleRowDetails = (rowId) => internalToggleRow(this, rowId);
+        this.getExpandedIds = () => internalGetExpandedIds(this);
+
+        // ---------- Tree ----------
+        this.expandNode = (rowId) => internalExpandNode(this, rowId);
+        this.collapseNode = (rowId) => internalCollapseNode(this, rowId);
+        this.toggleNode = (rowId) => internalToggleNode(this, rowId);
+        this.expandAllNodes = () => internalExpandAllNodes(this);
+        this.collapseAllNodes = () => internalCollapseAllNodes(this);
+        this.getExpandedNodeIds = () => internalGetExpandedNodeIds(this);
+
+        // ---------- Row grouping ----------
+        this.expandGroup = (path) => internalExpandGroup(this, path);
+        this.collapseGroup = (path) => internalCollapseGroup(this, path);
+        this.toggleGroup = (path) => internalToggleGroup(this, path);
+        this.expandAllGroups = () => internalSetAllGroupsCollapsed(this, false);
+        this.collapseAllGroups = () => internalSetAllGroupsCollapsed(this, true);
+        this.setGroupBy = (rowGrouping) =>
+            internalSetGroupBy(this, rowGrouping);
+
+        // ---------- Row reordering ----------
+        this.moveRow = (rowId, toIndex, source) =>
+            internalMoveRow(this, rowId, toIndex, source);
+
+        // ---------- Responsive ----------
+        this.updateResponsive = () => internalUpdateResponsiveColumns(this);
+        this.getResponsiveHiddenColumns = () =>
+            internalGetResponsiveHiddenColumns(this).map((col) => col.name);
+
+        // ---------- Card view ----------
+        this.setView = (view) => internalSetView(this, view);
+        this.getView = () => internalGetView(this);
+
+        // ---------- Column pinning ----------
+        this.pinColumn = (columnName, side) =>
+            internalPinColumn(this, columnName, side);
+        this.unpinColumn = (columnName) =>
+            internalPinColumn(this, columnName, null);
+        this.getPinnedColumns = () => ({ ...this.columnPinState });
+
+        // ---------- Column resizing ----------
+        this.setColumnWidth = (columnName, width) =>
+            internalSetColumnWidth(this, columnName, width);
+        this.autoFitColumn = (columnName) =>
+            internalAutoFitColumn(this, columnName);
+        this.resetColumnWidths = () => internalResetColumnWidths(this);
+        this.getColumnWidths = () => ({ ...this.columnWidthState });
+
+        // ---------- Column order ----------
+        this.moveColumn = (columnName, toIndex) =>
+            internalMoveColumn(this, columnName, toIndex);
+        this.setColumnOrder = (names) => internalSetColumnOrder(this, names);
+        this.getColumnOrder = () => internalGetColumnOrder(this);
+
         // ---------- Sorting API ----------
         this.setSort = (column, direction) =>
             apiSetSort(this, column, direction);
@@ -592,19 +965,33 @@ export default class DataTable {
         this.onCellClick = (callback) => apiOnCellClick(this, callback);
         this.onRowHover = (callback) => apiOnRowHover(this, callback);
 
+        this._errorCallbacks = [];
+        this.onError = (callback) => apiOnError(this, callback);
+        if (onError) this.onError(onError);
+
         this.init();
     }
 
     init() {
         if (this.enableSaveState) this.loadState(); // Load saved state early before fetchData()
+        internalApplyColumnPinOrder(this); // Pinned columns move to the edges
         if (this.enableLoadingSpinner) internalToggleLoadingSpinner(this, true);
         this.addDefaultControls();
         this.initButtons();
         this.initSearch();
-        if (this.url) this.fetchData();
         internalInitPagination(this);
         this.initInfiniteScroll();
+        internalInitVirtualScroll(this);
+        internalBindRowDetailsClick(this);
+        internalBindRowReorder(this);
+        internalInitTree(this);
         this.renderTableHeader();
+        internalInitResponsive(this);
+        internalInitCardView(this); // Before the first render
+        // Fetch last so header, pagination and scroll wrapper exist before the first render
+        if (this.dataAdapter) this.fetchData();
+        if (this.live) this.startLive();
+        if (this.autoRefresh) this.startAutoRefresh();
     }
 
     // ==============================
@@ -638,6 +1025,9 @@ export default class DataTable {
         if (this.buttonConfig.perPageSelect.enabled) {
             this.bindPerPageSelect();
         }
+        if (this.buttonConfig.cardView.enabled) {
+            internalBindCardViewButton(this);
+        }
         if (
             this.columnVisibility.enabled &&
             this.buttonConfig.columnVisibility.enabled
@@ -780,6 +1170,7 @@ export default class DataTable {
         if (!reloadButton) return;
 
         reloadButton.addEventListener("click", () => {
+            this.clearCache();
             this.fetchData();
         });
     }
@@ -975,6 +1366,10 @@ export default class DataTable {
         return apiIsColumnVisible(this, columnName);
     }
 
+    isColumnEnabled(columnName) {
+        return apiIsColumnEnabled(this, columnName);
+    }
+
     toggleColumnVisibility(columnName, visible = null) {
         return apiToggleColumnVisibility(this, columnName, visible);
     }
@@ -1007,45 +1402,80 @@ export default class DataTable {
     // FETCH DATA
     //===================
 
-    async fetchData() {
+    /**
+     * Load the current page through the data adapter and render it
+     * @param {Object} [options]
+     * @param {boolean} [options.preserve=false] - Background refresh: skip the
+     *   spinner and cache, patch rows in place and keep them on failure
+     * @param {boolean} [options.flash=true] - Flash changed cells when
+     *   patching (off for tree expand/collapse)
+     */
+    async fetchData({ preserve = false, flash = true } = {}) {
+        // A newer request supersedes the one in flight (fast typing, page clicks)
+        if (this._fetchController) {
+            this._fetchController.abort();
+        }
+        const requestId = ++this._fetchSeq;
+        const controller = new AbortController();
+        this._fetchController = controller;
+        const isStale = () => requestId !== this._fetchSeq;
+        const query = internalBuildTableQuery(this, { requestId });
+
         // Show loading spinner immediately when enabled
-        if (this.enableLoadingSpinner) {
+        if (this.enableLoadingSpinner && !preserve) {
             internalToggleLoadingSpinner(this, true);
         }
-        const params = new URLSearchParams({
-            search: this.search,
-            sortBy: this.sort,
-            order: this.order,
-            page: this.currentPage,
-            perPage: this.rowsPerPage,
-            columnFilters: JSON.stringify(this.columnFilters),
-        });
 
-        // Attach normal filters
-        for (const [key, value] of Object.entries(this.filters)) {
-            if (value !== "" && value != null) {
-                params.append(key, value); // not inside "filters"
+        try {
+            const timeoutId = this.requestTimeout
+                ? setTimeout(() => controller.abort(), this.requestTimeout)
+                : null;
+
+            let result = preserve ? null : internalReadCache(this, query);
+            try {
+                if (!result) {
+                    result = await internalLoadDataWithRetry(
+                        this,
+                        query,
+                        controller.signal
+                    );
+                    internalWriteCache(this, query, result);
+                }
+            } finally {
+                clearTimeout(timeoutId);
             }
-        }
 
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
+            // Another fetchData() started meanwhile, its response wins
+            if (isStale()) return;
+            this._fetchController = null;
 
-            const res = await fetch(`${this.url}?${params.toString()}`, {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                },
-                signal: controller.signal,
-            });
+            // Client-side trees: depth and expand state of these rows
+            if (this.tree && !this.serverSide) {
+                internalSetTreeMeta(this, result.tree);
+            }
 
-            clearTimeout(timeoutId);
+            // Server-side trees: loaded children go below expanded parents
+            const newData =
+                this.tree && this.serverSide
+                    ? internalFlattenTreeRows(this, result.rows)
+                    : result.rows;
 
-            if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+            // Deleting rows or narrowing filters can leave us past the last page
+            if (
+                !this.infiniteScroll &&
+                newData.length === 0 &&
+                result.total > 0 &&
+                this.currentPage > result.lastPage
+            ) {
+                this.currentPage = result.lastPage;
+                await this.fetchData();
+                return;
+            }
 
-            const json = await res.json();
-            const newData = json[this.dataSrc] || [];
+            const previousRows = this.data;
+            // Group counts/aggregates (before rendering the headers)
+            internalSetGroupMeta(this, result.groups);
+            internalSetFooterTotals(this, result);
 
             // For infinite scroll, append data instead of replacing
             if (this.infiniteScroll && this.currentPage > 1) {
@@ -1058,27 +1488,48 @@ export default class DataTable {
                 this.showEmptyStateInTable("No records found.");
             } else {
                 // For infinite scroll, only render new rows if not first page
-                if (this.infiniteScroll && this.currentPage > 1) {
+                if (this.virtualScroll) {
+                    // Appended pages are part of the virtualized list
+                    this.renderTable(this.data);
+                } else if (this.infiniteScroll && this.currentPage > 1) {
                     internalAppendRows(this, newData);
+                } else if (preserve) {
+                    // Keep rows (selection, open editor, scroll) and patch changes
+                    internalPatchRows(this, this.data, previousRows, {
+                        flash,
+                    });
+                    internalSyncSelection(this);
                 } else {
                     this.renderTable(this.data);
                 }
             }
+            internalSyncFooter(this);
+            // Columns without a stored width follow the new content
+            internalSyncColumnWidths(this);
+            internalSyncPinnedColumns(this);
 
             if (this.pagination) {
-                internalUpdatePagination(this, json);
+                internalUpdatePagination(this, result);
             }
+
+            // Warm the cache with the next page while the user reads this one
+            internalPrefetchNextPage(this, query, result);
         } catch (error) {
+            // Superseded by a newer request, nothing to report
+            if (isStale()) return;
+            this._fetchController = null;
+
             console.error("Error fetching data:", error);
+            apiEmitError(this, error, { query, attempts: error.attempts || 1 });
 
-            // Optionally show error state
-            if (this.data.length === 0) {
-                this.showEmptyStateInTable("Error loading data");
+            // Infinite scroll and background refreshes keep the rows they have
+            if (!preserve && !(this.infiniteScroll && this.currentPage > 1)) {
+                this.showErrorStateInTable(error);
             }
         } finally {
-            // Always hide spinner when done
+            // Always hide spinner when done, unless a newer request owns it
             // Only auto-hide if no duration was set
-            if (this.loadingDelay <= 0) {
+            if (this.loadingDelay <= 0 && !isStale()) {
                 internalToggleLoadingSpinner(this, false);
             }
         }
@@ -1117,6 +1568,34 @@ export default class DataTable {
         }
     }
 
+    /**
+     * Show a failed request in the table body with a Retry button
+     * @param {Error|string} error - Error (or message) to display
+     */
+    showErrorStateInTable(error) {
+        this.showEmptyStateInTable("");
+
+        const cell = this.table?.querySelector("tbody td");
+        if (!cell) return;
+
+        cell.className = this.theme.errorStateCell || "text-center py-6";
+
+        const message = document.createElement("div");
+        message.className = this.theme.errorStateMessage || "";
+        message.setAttribute("role", "alert");
+        message.textContent = `Error loading data${
+            error?.message ? `: ${error.message}` : ""
+        }`;
+
+        const retryBtn = document.createElement("button");
+        retryBtn.type = "button";
+        retryBtn.className = this.theme.errorStateButton || this.theme.button;
+        retryBtn.textContent = "Retry";
+        retryBtn.addEventListener("click", () => this.fetchData());
+
+        cell.replaceChildren(message, retryBtn);
+    }
+
     _renderTable() {
         // Call the renderTable method with the current data
         this.renderTable(this.data);
@@ -1156,31 +1635,39 @@ export default class DataTable {
         if (!this.table.querySelector("tbody")) {
             this.table.appendChild(document.createElement("tbody"));
         }
+
+        internalSyncColumnWidths(this);
+        internalSyncPinnedColumns(this);
     }
 
     renderGroupHeaders(thead, visibleColumns) {
         const groupHeaderRow = thead.insertRow();
         groupHeaderRow.className = this.theme.groupHeaderRow || "";
 
-        const groupSpans = {};
-        visibleColumns.forEach((col) => {
-            if (col.group) {
-                groupSpans[col.group] = (groupSpans[col.group] || 0) + 1;
-            }
-        });
-
         const groupMap = {};
         this.columnGroups.forEach((g) => (groupMap[g.key] = g));
 
-        const renderedGroups = new Set();
         let currentColIndex = 0;
 
         while (currentColIndex < visibleColumns.length) {
             const col = visibleColumns[currentColIndex];
 
-            if (col.group && !renderedGroups.has(col.group)) {
+            if (col.group) {
+                // Adjacent columns of the group; a pinned part of the group
+                // gets its own cell so it can stay sticky
+                const side = internalGetPinSide(this, col.name);
+                let span = 1;
+                let next = visibleColumns[currentColIndex + 1];
+                while (
+                    next?.group === col.group &&
+                    internalGetPinSide(this, next.name) === side
+                ) {
+                    span++;
+                    next = visibleColumns[currentColIndex + span];
+                }
+
                 const th = document.createElement("th");
-                th.colSpan = groupSpans[col.group];
+                th.colSpan = span;
                 th.textContent = groupMap[col.group]?.label || col.group;
 
                 // Merge theme default class with user override
@@ -1190,8 +1677,7 @@ export default class DataTable {
                 th.className = `${defaultClass} ${userClass}`.trim();
 
                 groupHeaderRow.appendChild(th);
-                renderedGroups.add(col.group);
-                currentColIndex += groupSpans[col.group];
+                currentColIndex += span;
             } else {
                 const th = document.createElement("th");
                 th.colSpan = 1;
@@ -1286,6 +1772,10 @@ export default class DataTable {
                 });
             }
 
+            // Drag handle (columnResize) and draggable header (columnReorder)
+            internalAddResizeHandle(this, th, column);
+            internalAddReorderHandlers(this, th, column);
+
             headerRow.appendChild(th);
         });
 
@@ -1375,78 +1865,42 @@ export default class DataTable {
     }
 
     renderTable(rows) {
-        const tbody = this.table.querySelector("tbody") || this.createTBody();
-        tbody.innerHTML = "";
-
         if (!this.columns?.length) {
             console.error("Columns configuration is missing or empty");
             return;
         }
 
-        tbody.className = this.theme.body || "";
-
-        const isTailwind = this.theme.framework === "tailwind";
-        const isBootstrap = this.theme.framework === "bootstrap";
-        const isDaisyUI = this.theme.framework === "daisyui";
-
-        rows.forEach((row, rowIndex) => {
-            const tr = document.createElement("tr");
-            tr.dataset.id = row.id;
-
-            // Apply row(theme) classes
-            tr.className = this.theme.row || "";
-            if (typeof this.theme.rowClass === "function") {
-                tr.classList.add(
-                    ...this.theme.rowClass(row, rowIndex).split(" ")
-                );
-            } else if (typeof this.theme.rowClass === "string") {
-                tr.classList.add(...this.theme.rowClass.split(" "));
-            }
-
-            // Add initial hidden/fade classes
-            // Tailwind: fade & move
-            if (isTailwind) {
-                tr.classList.add(
-                    "opacity-0",
-                    "translate-y-2",
-                    "transition-all",
-                    "duration-300"
-                );
-            }
-
-            // Bootstrap: fade only (no translate)
-            if (isBootstrap) {
-                tr.classList.add("opacity-0", "transition", "duration-300");
-            }
-
-            // Create and append <td>s (only for visible columns)
-            this.columns.forEach((column) => {
-                if (!this.isColumnVisible(column.name)) return;
-
-                const td = document.createElement("td");
-                this.renderCell(td, row, column, rowIndex);
-                tr.appendChild(td);
-            });
+        // Virtualized body: only the rows in view, no stagger animation
+        if (this.virtualScroll) {
+            internalRenderVirtualRows(this, rows, true);
+            internalSyncFooter(this);
+            internalSyncPinnedColumns(this);
+            return;
+        }
 
-            tbody.appendChild(tr);
+        const tbody = this.table.querySelector("tbody") || this.createTBody();
+        tbody.className = this.theme.body || "";
 
-            // Animate row with stagger
-            const delay = rowIndex * 50;
+        // Keyed render: reuse <tr>s by row.id, only new rows animate in
+        if (this.renderMode !== "replace" && internalCanPatchRows(rows)) {
+            internalAnimateRows(this, internalPatchRows(this, rows));
+            return;
+        }
 
-            if (isTailwind) {
-                setTimeout(() => {
-                    tr.classList.remove("opacity-0", "translate-y-2");
-                    tr.classList.add("opacity-100", "translate-y-0");
-                }, delay);
-            }
+        tbody.innerHTML = "";
 
-            if (isBootstrap) {
-                setTimeout(() => {
-                    tr.classList.remove("opacity-0");
-                    tr.classList.add("opacity-100");
-                }, delay);
-            }
-        });
+        const trs = rows.map((row, rowIndex) =>
+            internalCreateRowElement(this, row, rowIndex)
+        );
+        tbody.append(...trs);
+        this._renderedRows = [...rows];
+        internalSyncRowDetails(this);
+        internalSyncResponsiveRows(this);
+        internalSyncRowGroups(this);
+        internalSyncFooter(this);
+        internalSyncPinnedColumns(this);
+
+        internalAnimateRows(this, trs);
     }
 
     // appendRows() is now in methods/infiniteScrollMethods.js
@@ -1506,9 +1960,13 @@ export default class DataTable {
 
                 input.addEventListener("keydown", (e) => {
                     if (e.key === "Escape") {
-                        td.innerHTML = column.render
-                            ? column.render(originalValue, row)
-                            : originalValue;
+                        internalSetCellContent(
+                            this,
+                            td,
+                            column,
+                            originalValue,
+                            row
+                        );
 
                         td.classList.remove(
                             "border",
@@ -1522,52 +1980,40 @@ export default class DataTable {
         }
         // ===================================
 
-        // Custom renderer
-        // Ensure rendered is always a string
-        let rendered = "";
+        // Value or custom renderer output, as text unless column.html
+        internalSetCellContent(this, td, column, value, row);
 
-        if (column.render && typeof column.render === "function") {
-            // Run the custom renderer function and store its result in rendered
-            rendered = column.render(value, row);
-        } else if (value !== undefined && value !== null) {
-            // If no custom renderer is provided, just use the value as a string
-            rendered = String(value);
-        }
-
-        if (
-            column.highlightable &&
-            this.search &&
-            typeof rendered === "string"
-        ) {
-            const highlightConfig =
-                typeof column.highlightable === "object"
-                    ? column.highlightable
-                    : {};
+        // Search highlighting (text only, markup is left alone)
+        internalHighlightSearch(this, td, column);
 
-            const color =
-                highlightConfig.color ||
-                this.theme.highlight ||
-                "bg-yellow-200";
+        // Classes, icons, color scales and data bars from conditionalFormatting
+        if (this.conditionalFormatting) {
+            internalApplyCellFormatting(this, td, row, column);
+        }
 
-            const tag = highlightConfig.tag || "mark";
+        // Expand/collapse button for row details
+        if (this.rowDetails) {
+            internalDecorateToggleCell(this, td, row, column);
+        }
 
-            const escapedSearch = this.search.replace(
-                /[-\/\\^$*+?.()|[\]{}]/g,
-                "\\$&"
-            );
-            const regex = new RegExp(`(${escapedSearch})`, "gi");
+        // Tree indentation and toggle (leftmost)
+        if (this.tree) {
+            internalDecorateTreeCell(this, td, row, column);
+        }
 
-            rendered = rendered.replace(
-                regex,
-                `<${tag} class="${color}">$1</${tag}>`
-            );
+        // Show/hide button for columns hidden for space (responsive)
+        if (this.responsive) {
+            internalDecorateResponsiveToggle(this, td, row, column);
         }
 
-        td.innerHTML = rendered;
+        // Drag handle for row reordering (leftmost)
+        if (this.rowReorder) {
+            internalDecorateReorderHandle(this, td, row, column);
+        }
     }
     createEditableInput(column, value) {
         let input;
-        const inputClass =
+        let inputClass =
             column.type === "select"
                 ? this.theme.editableSelect
                 : this.theme.editableInput;
@@ -1589,24 +2035,38 @@ export default class DataTable {
             case "date":
             case "time":
             case "text":
-            default:
+            default: {
+                // A `format` picks the input type unless `type` is set
+                const inputType =
+                    column.type || internalGetEditorType(column) || "text";
                 input = document.createElement("input");
-                input.type = column.type || "text";
-                input.value = value ?? "";
+                input.type = inputType;
+                if (inputType === "checkbox") {
+                    inputClass = this.theme.editableCheckbox;
+                    input.checked =
+                        internalToEditorValue(inputType, value) === "true";
+                } else if (column.format) {
+                    // Raw value: 0.25 for 25 %, ISO dates for date inputs
+                    input.value = internalToEditorValue(inputType, value);
+                    if (inputType === "number") input.step = "any";
+                } else {
+                    input.value = value ?? "";
+                }
+            }
         }
 
         input.className = inputClass;
+        // Lets live updates and auto refresh leave the cell alone
+        input.dataset.inlineEditor = "true";
         return input;
     }
 
     async handleInlineEditSave(input, td, row, column, rowIndex) {
-        const newValue = input.value;
         const oldValue = row[column.name];
+        const newValue = internalFromEditorValue(column, input, oldValue);
 
         if (newValue === oldValue) {
-            td.innerHTML = column.render
-                ? column.render(oldValue, row)
-                : oldValue;
+            internalSetCellContent(this, td, column, oldValue, row);
             return;
         }
 
@@ -1633,10 +2093,11 @@ export default class DataTable {
                 rowData: row,
             });
 
-            td.innerHTML = column.render
-                ? column.render(newValue, row)
-                : newValue;
+            internalSetCellContent(this, td, column, newValue, row);
             row[column.name] = newValue;
+            if (this.conditionalFormatting) {
+                internalApplyCellFormatting(this, td, row, column);
+            }
 
             td.classList.remove(this.theme.borderLoading);
             td.classList.add(this.theme.borderSuccess);
@@ -1646,9 +2107,7 @@ export default class DataTable {
                 1500
             );
         } catch (err) {
-            td.innerHTML = column.render
-                ? column.render(oldValue, row)
-                : oldValue;
+            internalSetCellContent(this, td, column, oldValue, row);
 
             td.classList.remove(this.theme.borderLoading);
             td.classList.add(this.theme.borderError);
@@ -1700,6 +2159,10 @@ export default class DataTable {
         internalDestroyInfiniteScroll(this);
     }
 
+    destroyVirtualScroll() {
+        internalDestroyVirtualScroll(this);
+    }
+
     // ==============================
     // EXPORT FUNCTIONALITY SECTION
     // ==============================
@@ -1713,8 +2176,9 @@ export default class DataTable {
 
     getExportableColumns(type = "all") {
         return this.columns.filter((col) => {
-            // Check column visibility state first
-            if (!this.isColumnVisible(col.name)) return false;
+            // Check column visibility state first (columns hidden for space
+            // by responsive mode are still exported)
+            if (!this.isColumnEnabled(col.name)) return false;
 
             // If per-export-type control is defined (object like { print: false, csv: true })
             if (col.export && typeof col.export === "object") {
@@ -1746,9 +2210,13 @@ export default class DataTable {
             sort: this.sort,
             order: this.order,
             columnFilters: this.columnFilters,
-            url: this.url,
-            dataSrc: this.dataSrc,
+            filters: this.filters,
+            dataAdapter: this.dataAdapter,
+            requestTimeout: this.requestTimeout,
             exportable: this.exportable,
+            rowGrouping: this.rowGrouping,
+            locale: this.locale,
+            conditionalFormatting: this.conditionalFormatting,
             exportProgress: this.exportProgress,
             showExportProgress: (type, total) =>
                 this.showExportProgress(type, total),
@@ -1771,9 +2239,12 @@ export default class DataTable {
             sort: this.sort,
             order: this.order,
             columnFilters: this.columnFilters,
-            url: this.url,
-            dataSrc: this.dataSrc,
+            filters: this.filters,
+            dataAdapter: this.dataAdapter,
+            requestTimeout: this.requestTimeout,
             exportable: this.exportable,
+            rowGrouping: this.rowGrouping,
+            locale: this.locale,
             exportProgress: this.exportProgress,
             showExportProgress: (type, total) =>
                 this.showExportProgress(type, total),
@@ -1802,9 +2273,13 @@ export default class DataTable {
             sort: this.sort,
             order: this.order,
             columnFilters: this.columnFilters,
-            url: this.url,
-            dataSrc: this.dataSrc,
+            filters: this.filters,
+            dataAdapter: this.dataAdapter,
+            requestTimeout: this.requestTimeout,
             exportable: this.exportable,
+            rowGrouping: this.rowGrouping,
+            locale: this.locale,
+            sanitize: this.sanitize,
             toggleLoadingSpinner: (isLoading) =>
                 internalToggleLoadingSpinner(this, isLoading),
         });
@@ -1823,9 +2298,12 @@ export default class DataTable {
             sort: this.sort,
             order: this.order,
             columnFilters: this.columnFilters,
-            url: this.url,
-            dataSrc: this.dataSrc,
+            filters: this.filters,
+            dataAdapter: this.dataAdapter,
+            requestTimeout: this.requestTimeout,
             exportable: this.exportable,
+            rowGrouping: this.rowGrouping,
+            locale: this.locale,
             exportProgress: this.exportProgress,
             showExportProgress: (type, total) =>
                 this.showExportProgress(type, total),
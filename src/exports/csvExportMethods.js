@@ -4,6 +4,17 @@
  */
 
 import { fetchTotalRecordCount } from "./pdfExportMethods.js";
+import {
+    buildExportQuery,
+    loadData,
+} from "../methods/dataAdapterMethods.js";
+import { createGroupHeaderWriter } from "../methods/rowGroupMethods.js";
+import { createExportFooter } from "../methods/footerMethods.js";
+import { getRenderedText } from "../methods/cellRenderMethods.js";
+import {
+    getExportValue,
+    shouldExportFormatted,
+} from "../methods/formatMethods.js";
 
 /**
  * Escape CSV value (handles quotes and special characters)
@@ -18,22 +29,23 @@ export function escapeCsvValue(value) {
  * Process row data for CSV export
  * @param {Object} row - Row data object
  * @param {Array} visibleColumns - Visible columns configuration
+ * @param {Object|null} [formatContext] - Context with `locale` to export
+ *   `column.format` output, null for raw values
  * @returns {Array<string>} Array of escaped CSV cell values
  */
-export function processRowForCsv(row, visibleColumns) {
+export function processRowForCsv(row, visibleColumns, formatContext = null) {
     const csvRow = [];
     visibleColumns.forEach((column) => {
         // Handle cell value based on column configuration
-        let cellValue = row[column.name] || "";
+        const value = row[column.name] ?? "";
+        let cellValue = getExportValue(formatContext, column, row[column.name]);
 
         // Apply custom render function if it exists and is meant for export
         if (column.exportRender) {
-            cellValue = column.exportRender(cellValue, row);
+            cellValue = column.exportRender(value, row);
         } else if (column.render && column.useRenderForExport) {
-            // Extract text content from HTML if render function is used
-            const tempDiv = document.createElement("div");
-            tempDiv.innerHTML = column.render(cellValue, row);
-            cellValue = tempDiv.textContent || tempDiv.innerText || "";
+            // Text of the rendered cell, HTML is never put into the page
+            cellValue = getRenderedText(column, column.render(value, row));
         }
 
         // Escape quotes and format for CSV
@@ -47,24 +59,16 @@ export function processRowForCsv(row, visibleColumns) {
  * @param {Object} context - DataTable instance context
  * @param {Object} config - Export configuration
  * @param {Array} visibleColumns - Visible columns to export
- * @param {URLSearchParams} exportParams - Export query parameters
+ * @param {Object} exportQuery - Export query
  * @returns {Promise<Object>} Object with csvContent and totalProcessed
  */
-export async function fetchDataForCsv(context, config, visibleColumns, exportParams) {
+export async function fetchDataForCsv(context, config, visibleColumns, exportQuery) {
     const { chunkSize } = config;
-    const { url, dataSrc, search, sort, order, columnFilters, exportProgress } = context;
-
-    // Get total count for progress tracking
-    const totalCountParams = new URLSearchParams({
-        search: search || "",
-        sortBy: sort || "id",
-        order: order || "asc",
-        columnFilters: JSON.stringify(columnFilters || {}),
-    });
+    const { exportProgress } = context;
 
     let totalRecords = 0;
     try {
-        totalRecords = await fetchTotalRecordCount(url, totalCountParams);
+        totalRecords = await fetchTotalRecordCount(context, exportQuery);
     } catch (e) {
         console.warn(
             "Could not fetch total count, progress will be estimated"
@@ -82,6 +86,9 @@ export async function fetchDataForCsv(context, config, visibleColumns, exportPar
     );
 
     let csvContent = headers.join(",") + "\r\n";
+    const writeGroupHeaders = createGroupHeaderWriter(context, visibleColumns);
+    const exportFooter = createExportFooter(context, visibleColumns);
+    const formatContext = shouldExportFormatted(context, "csv") ? context : null;
     let page = 1;
     let hasMoreData = true;
     let totalProcessed = 0;
@@ -92,36 +99,26 @@ export async function fetchDataForCsv(context, config, visibleColumns, exportPar
             throw new Error("Export cancelled by user");
         }
 
-        // Update pagination parameters for this chunk
-        exportParams.set("page", page);
-        exportParams.set("perPage", chunkSize);
-
         try {
             const controller =
                 exportProgress?.cancelController || new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-
-            const response = await fetch(`${url}?${exportParams.toString()}`, {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    Accept: "application/json",
-                    "X-Requested-With": "XMLHttpRequest",
-                    "X-Requested-For": "export-csv",
-                },
-                signal: controller.signal,
-            });
+            const timeoutId = context.requestTimeout
+                ? setTimeout(() => controller.abort(), context.requestTimeout)
+                : null;
 
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(
-                    `CSV export data request failed with status: ${response.status}`
+            // Request this chunk through the data adapter
+            let result;
+            try {
+                result = await loadData(
+                    context,
+                    { ...exportQuery, page, perPage: chunkSize },
+                    controller.signal
                 );
+            } finally {
+                clearTimeout(timeoutId);
             }
 
-            const json = await response.json();
-            const dataChunk = json[dataSrc] || [];
+            const dataChunk = result.rows;
 
             // Check if this is the last chunk
             hasMoreData = dataChunk.length === chunkSize;
@@ -133,10 +130,23 @@ export async function fetchDataForCsv(context, config, visibleColumns, exportPar
                 context.updateExportProgress(totalProcessed, progressTotal);
             }
 
+            exportFooter?.add(dataChunk, result.totals);
+
             // Process and add this chunk of data to CSV content
             if (dataChunk.length > 0) {
                 dataChunk.forEach((row) => {
-                    const csvRow = processRowForCsv(row, visibleColumns);
+                    writeGroupHeaders?.(row, result.groups).forEach(
+                        (header) => {
+                            csvContent +=
+                                header.cells.map(escapeCsvValue).join(",") +
+                                "\r\n";
+                        }
+                    );
+                    const csvRow = processRowForCsv(
+                        row,
+                        visibleColumns,
+                        formatContext
+                    );
                     csvContent += csvRow.join(",") + "\r\n";
                 });
             }
@@ -158,6 +168,12 @@ export async function fetchDataForCsv(context, config, visibleColumns, exportPar
         }
     }
 
+    // Totals row from the column footers
+    if (exportFooter && totalProcessed > 0) {
+        csvContent +=
+            exportFooter.getCells().map(escapeCsvValue).join(",") + "\r\n";
+    }
+
     return {
         csvContent,
         totalProcessed,
@@ -247,14 +263,8 @@ export async function downloadCSV(context) {
     try {
         const visibleColumns = context.getExportableColumns("csv");
 
-        // Prepare CSV download parameters
-        const exportParams = new URLSearchParams({
-            search: context.search || "",
-            sortBy: context.sort || "id",
-            order: context.order || "asc",
-            columnFilters: JSON.stringify(context.columnFilters || {}),
-            export: "true",
-        });
+        // Prepare CSV export query
+        const exportQuery = buildExportQuery(context, "csv");
 
         const exportableCsvConfig = {
             fileName: context.exportable.fileName.csv,
@@ -266,7 +276,7 @@ export async function downloadCSV(context) {
             context,
             exportableCsvConfig,
             visibleColumns,
-            exportParams
+            exportQuery
         );
 
         // Download CSV file
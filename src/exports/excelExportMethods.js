@@ -4,26 +4,39 @@
  */
 
 import { fetchTotalRecordCount } from "./pdfExportMethods.js";
+import {
+    buildExportQuery,
+    loadData,
+} from "../methods/dataAdapterMethods.js";
+import { createGroupHeaderWriter } from "../methods/rowGroupMethods.js";
+import { createExportFooter } from "../methods/footerMethods.js";
+import { getRenderedText } from "../methods/cellRenderMethods.js";
+import { addExcelConditionalFormats } from "../methods/conditionalFormatMethods.js";
+import {
+    getExportValue,
+    shouldExportFormatted,
+} from "../methods/formatMethods.js";
 
 /**
  * Process row data for Excel export
  * @param {Object} row - Row data object
  * @param {Array} visibleColumns - Visible columns configuration
+ * @param {Object|null} [formatContext] - Context with `locale` to export
+ *   `column.format` output, null for raw values
  * @returns {Array} Array of cell values
  */
-export function processRowForExcel(row, visibleColumns) {
+export function processRowForExcel(row, visibleColumns, formatContext = null) {
     const excelRow = [];
     visibleColumns.forEach((column) => {
-        let cellValue = row[column.name] || "";
+        const value = row[column.name] ?? "";
+        let cellValue = getExportValue(formatContext, column, row[column.name]);
 
         // Apply custom render function if it exists and is meant for export
         if (column.exportRender) {
-            cellValue = column.exportRender(cellValue, row);
+            cellValue = column.exportRender(value, row);
         } else if (column.render && column.useRenderForExport) {
-            // Extract text content from HTML if render function is used
-            const tempDiv = document.createElement("div");
-            tempDiv.innerHTML = column.render(cellValue, row);
-            cellValue = tempDiv.textContent || tempDiv.innerText || "";
+            // Text of the rendered cell, HTML is never put into the page
+            cellValue = getRenderedText(column, column.render(value, row));
         }
 
         excelRow.push(cellValue);
@@ -37,7 +50,7 @@ export function processRowForExcel(row, visibleColumns) {
  * @param {Object} config - Export configuration
  * @param {Array} visibleColumns - Visible columns to export
  * @param {Object} worksheet - ExcelJS worksheet instance
- * @param {URLSearchParams} exportParams - Export query parameters
+ * @param {Object} exportQuery - Export query
  * @returns {Promise<number>} Total rows exported
  */
 export async function fetchDataForExcel(
@@ -45,22 +58,14 @@ export async function fetchDataForExcel(
     config,
     visibleColumns,
     worksheet,
-    exportParams
+    exportQuery
 ) {
     const { chunkSize } = config;
-    const { url, dataSrc, search, sort, order, columnFilters, exportProgress } = context;
-
-    // Get total count for progress tracking
-    const totalCountParams = new URLSearchParams({
-        search: search || "",
-        sortBy: sort || "id",
-        order: order || "asc",
-        columnFilters: JSON.stringify(columnFilters || {}),
-    });
+    const { exportProgress } = context;
 
     let totalRecords = 0;
     try {
-        totalRecords = await fetchTotalRecordCount(url, totalCountParams);
+        totalRecords = await fetchTotalRecordCount(context, exportQuery);
     } catch (e) {
         console.warn(
             "Could not fetch total count, progress will be estimated"
@@ -72,6 +77,10 @@ export async function fetchDataForExcel(
         context.showExportProgress("excel", totalRecords || 100000);
     }
 
+    const writeGroupHeaders = createGroupHeaderWriter(context, visibleColumns);
+    const exportFooter = createExportFooter(context, visibleColumns);
+    const formatContext = shouldExportFormatted(context, "excel") ? context : null;
+    const dataRowRanges = []; // [first, last] runs between group headers
     let page = 1;
     const maxExcelRecords = 100000;
     let totalRowsExported = 0;
@@ -87,35 +96,26 @@ export async function fetchDataForExcel(
         const rowsLeft = maxExcelRecords - totalRowsExported;
         const currentChunkSize = Math.min(chunkSize, rowsLeft);
 
-        exportParams.set("page", page);
-        exportParams.set("perPage", currentChunkSize);
-
-        // Use the cancel controller for fetch
+        // Use the cancel controller for the request
         const controller =
             exportProgress?.cancelController || new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-
-        const response = await fetch(`${url}?${exportParams.toString()}`, {
-            method: "GET",
-            headers: {
-                "Content-Type": "application/json",
-                Accept: "application/json",
-                "X-Requested-With": "XMLHttpRequest",
-                "X-Requested-For": "export-chunk",
-            },
-            signal: controller.signal,
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(
-                `Excel export data request failed with status: ${response.status}`
+        const timeoutId = context.requestTimeout
+            ? setTimeout(() => controller.abort(), context.requestTimeout)
+            : null;
+
+        let result;
+        try {
+            result = await loadData(
+                context,
+                { ...exportQuery, page, perPage: currentChunkSize },
+                controller.signal
             );
+        } finally {
+            clearTimeout(timeoutId);
         }
 
-        const json = await response.json();
-        const dataChunk = dataSrc ? json[dataSrc] : json.data || [];
+        const dataChunk = result.rows;
+        exportFooter?.add(dataChunk, result.totals);
 
         // Add rows to worksheet
         dataChunk.forEach((row) => {
@@ -124,8 +124,19 @@ export async function fetchDataForExcel(
                 return;
             }
 
-            const excelRow = processRowForExcel(row, visibleColumns);
-            worksheet.addRow(excelRow);
+            writeGroupHeaders?.(row, result.groups).forEach((header) => {
+                worksheet.addRow(header.cells).font = { bold: true };
+            });
+
+            const excelRow = processRowForExcel(
+                row,
+                visibleColumns,
+                formatContext
+            );
+            const { number } = worksheet.addRow(excelRow);
+            const range = dataRowRanges[dataRowRanges.length - 1];
+            if (range?.[1] === number - 1) range[1] = number;
+            else dataRowRanges.push([number, number]);
             totalRowsExported++;
         });
 
@@ -143,6 +154,21 @@ export async function fetchDataForExcel(
         page++;
     }
 
+    // Conditional formats cover the data rows, not group headers or totals
+    if (context.exportable.conditionalFormatting) {
+        addExcelConditionalFormats(
+            context,
+            worksheet,
+            visibleColumns,
+            dataRowRanges
+        );
+    }
+
+    // Totals row from the column footers
+    if (exportFooter && totalRowsExported > 0) {
+        worksheet.addRow(exportFooter.getCells()).font = { bold: true };
+    }
+
     return totalRowsExported;
 }
 
@@ -190,14 +216,8 @@ export async function exportToExcel(context) {
             chunkSize: context.exportable.chunkSize.excel,
         };
 
-        // Prepare export parameters
-        const exportParams = new URLSearchParams({
-            search: context.search || "",
-            sortBy: context.sort || "id",
-            order: context.order || "asc",
-            columnFilters: JSON.stringify(context.columnFilters || {}),
-            export: "true",
-        });
+        // Prepare export query
+        const exportQuery = buildExportQuery(context, "excel");
 
         // Fetch all data and build Excel workbook
         const totalRowsExported = await fetchDataForExcel(
@@ -205,7 +225,7 @@ export async function exportToExcel(context) {
             exportableExcelConfig,
             visibleColumns,
             worksheet,
-            exportParams
+            exportQuery
         );
 
         // Download Excel file
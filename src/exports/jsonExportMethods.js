@@ -4,6 +4,10 @@
  */
 
 import { fetchTotalRecordCount } from "./pdfExportMethods.js";
+import {
+    buildExportQuery,
+    loadData,
+} from "../methods/dataAdapterMethods.js";
 
 /**
  * Download JSON file
@@ -30,25 +34,16 @@ export function downloadJSONFile(data, fileName = "data.json") {
  * Fetch data chunks for JSON export
  * @param {Object} context - DataTable instance context
  * @param {Object} config - Export configuration
- * @param {URLSearchParams} exportParams - Export query parameters
+ * @param {Object} exportQuery - Export query
  * @returns {Promise<Array>} Array of all records
  */
-export async function fetchDataForJson(context, config, exportParams) {
+export async function fetchDataForJson(context, config, exportQuery) {
     const { chunkSize } = config;
-    const { url, dataSrc, search, sort, order, columnFilters, exportProgress } =
-        context;
-
-    // Get total count for progress tracking
-    const totalCountParams = new URLSearchParams({
-        search: search || "",
-        sortBy: sort || "id",
-        order: order || "asc",
-        columnFilters: JSON.stringify(columnFilters || {}),
-    });
+    const { exportProgress } = context;
 
     let totalRecords = 0;
     try {
-        totalRecords = await fetchTotalRecordCount(url, totalCountParams);
+        totalRecords = await fetchTotalRecordCount(context, exportQuery);
     } catch (e) {
         console.warn("Could not fetch total count, progress will be estimated");
     }
@@ -69,36 +64,26 @@ export async function fetchDataForJson(context, config, exportParams) {
             throw new Error("Export cancelled by user");
         }
 
-        // Update pagination parameters for this chunk
-        exportParams.set("page", page);
-        exportParams.set("perPage", chunkSize);
-
         try {
             const controller =
                 exportProgress?.cancelController || new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-
-            const response = await fetch(`${url}?${exportParams.toString()}`, {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    Accept: "application/json",
-                    "X-Requested-With": "XMLHttpRequest",
-                    "X-Requested-For": "export-json",
-                },
-                signal: controller.signal,
-            });
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(
-                    `JSON export data request failed with status: ${response.status}`
+            const timeoutId = context.requestTimeout
+                ? setTimeout(() => controller.abort(), context.requestTimeout)
+                : null;
+
+            // Request this chunk through the data adapter
+            let result;
+            try {
+                result = await loadData(
+                    context,
+                    { ...exportQuery, page, perPage: chunkSize },
+                    controller.signal
                 );
+            } finally {
+                clearTimeout(timeoutId);
             }
 
-            const json = await response.json();
-            const dataChunk = dataSrc ? json[dataSrc] : json.data || [];
+            const dataChunk = result.rows;
 
             // Check if this is the last chunk
             hasMoreData = dataChunk.length === chunkSize;
@@ -145,20 +130,14 @@ export async function exportJSON(context) {
             chunkSize: context.exportable?.chunkSize?.json || 100,
         };
 
-        // Prepare export parameters
-        const exportParams = new URLSearchParams({
-            search: context.search || "",
-            sortBy: context.sort || "id",
-            order: context.order || "asc",
-            columnFilters: JSON.stringify(context.columnFilters || {}),
-            export: "true",
-        });
+        // Prepare export query
+        const exportQuery = buildExportQuery(context, "json");
 
         // Fetch all data
         const allData = await fetchDataForJson(
             context,
             exportableJsonConfig,
-            exportParams
+            exportQuery
         );
 
         // Download JSON file
@@ -9,6 +9,17 @@ import {
     applyTextToPdf,
     applyImageToPdf,
 } from "./exportCustomization.js";
+import {
+    buildExportQuery,
+    loadData,
+} from "../methods/dataAdapterMethods.js";
+import { createGroupHeaderWriter } from "../methods/rowGroupMethods.js";
+import { createExportFooter } from "../methods/footerMethods.js";
+import { getRenderedText } from "../methods/cellRenderMethods.js";
+import {
+    getExportValue,
+    shouldExportFormatted,
+} from "../methods/formatMethods.js";
 
 /**
  * Load image as data URL (base64) for PDF generation
@@ -86,31 +97,20 @@ export async function preloadPdfImages(customElements) {
 
 /**
  * Fetch total record count for progress tracking
- * @param {string} url - API endpoint URL
- * @param {URLSearchParams} baseParams - Base query parameters
+ * @param {Object} context - DataTable instance context (holds the data adapter)
+ * @param {Object} baseQuery - Base export query
  * @returns {Promise<number>} Total record count
  */
-export async function fetchTotalRecordCount(url, baseParams) {
-    const totalCountParams = new URLSearchParams(baseParams);
-    totalCountParams.set("export", "true");
-    totalCountParams.set("perPage", "1");
-
+export async function fetchTotalRecordCount(context, baseQuery) {
     try {
-        const countResponse = await fetch(`${url}?${totalCountParams.toString()}`, {
-            method: "GET",
-            headers: {
-                "Content-Type": "application/json",
-                Accept: "application/json",
-                "X-Requested-With": "XMLHttpRequest",
-            },
+        const result = await loadData(context, {
+            ...baseQuery,
+            page: 1,
+            perPage: 1,
+            export: true,
+            purpose: "count",
         });
-
-        if (!countResponse.ok) {
-            throw new Error(`HTTP error! status: ${countResponse.status}`);
-        }
-
-        const countJson = await countResponse.json();
-        return countJson.total || countJson.meta?.total || 0;
+        return result.total || 0;
     } catch (e) {
         console.warn("Could not fetch total count, progress will be estimated");
         return 0;
@@ -122,22 +122,15 @@ export async function fetchTotalRecordCount(url, baseParams) {
  * @param {Object} context - DataTable instance context
  * @param {Object} config - Export configuration
  * @param {Array} visibleColumns - Visible columns to export
- * @param {URLSearchParams} exportParams - Export query parameters
+ * @param {Object} exportQuery - Export query
  * @returns {Promise<Array>} Array of processed data rows
  */
-export async function fetchDataForPdf(context, config, visibleColumns, exportParams) {
+export async function fetchDataForPdf(context, config, visibleColumns, exportQuery) {
     const { fileName, chunkSize, footer } = config;
-    const { url, dataSrc, search, sort, order, columnFilters, exportProgress } = context;
+    const { exportProgress } = context;
 
     // Get total count for progress tracking
-    const totalCountParams = new URLSearchParams({
-        search: search || "",
-        sortBy: sort || "id",
-        order: order || "asc",
-        columnFilters: JSON.stringify(columnFilters || {}),
-    });
-
-    const totalRecords = await fetchTotalRecordCount(url, totalCountParams);
+    const totalRecords = await fetchTotalRecordCount(context, exportQuery);
 
     // Show progress UI
     if (context.showExportProgress) {
@@ -145,6 +138,9 @@ export async function fetchDataForPdf(context, config, visibleColumns, exportPar
     }
 
     const allData = [];
+    const writeGroupHeaders = createGroupHeaderWriter(context, visibleColumns);
+    const exportFooter = createExportFooter(context, visibleColumns);
+    const formatContext = shouldExportFormatted(context, "pdf") ? context : null;
     let page = 1;
     let totalProcessed = 0;
     let hasMoreData = true;
@@ -155,41 +151,32 @@ export async function fetchDataForPdf(context, config, visibleColumns, exportPar
             throw new Error("Export cancelled by user");
         }
 
-        exportParams.set("page", page);
-        exportParams.set("perPage", chunkSize);
-
         try {
             const controller =
                 exportProgress?.cancelController || new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-
-            const response = await fetch(`${url}?${exportParams.toString()}`, {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    Accept: "application/json",
-                    "X-Requested-With": "XMLHttpRequest",
-                    "X-Requested-For": "pdf-export",
-                },
-                signal: controller.signal,
-            });
-
-            clearTimeout(timeoutId);
+            const timeoutId = context.requestTimeout
+                ? setTimeout(() => controller.abort(), context.requestTimeout)
+                : null;
 
-            if (!response.ok) {
-                throw new Error(
-                    `PDF export data request failed with status: ${response.status}`
+            let result;
+            try {
+                result = await loadData(
+                    context,
+                    { ...exportQuery, page, perPage: chunkSize },
+                    controller.signal
                 );
+            } finally {
+                clearTimeout(timeoutId);
             }
 
-            const json = await response.json();
-            const dataChunk = json[dataSrc] || [];
+            const dataChunk = result.rows;
 
             if (dataChunk.length === 0) {
                 break; // Stop if no more data
             }
 
             totalProcessed += dataChunk.length;
+            exportFooter?.add(dataChunk, result.totals);
 
             // Update progress
             if (context.updateExportProgress) {
@@ -198,20 +185,40 @@ export async function fetchDataForPdf(context, config, visibleColumns, exportPar
             }
 
             // Process data chunk
-            const processedChunk = dataChunk.map((row) => {
+            const processedChunk = dataChunk.flatMap((row) => {
+                // Group header rows go in front of the row, keyed like it
+                const headerRows = (
+                    writeGroupHeaders?.(row, result.groups) || []
+                ).map((header) =>
+                    Object.fromEntries(
+                        visibleColumns.map((column, index) => [
+                            column.label || column.name,
+                            header.cells[index],
+                        ])
+                    )
+                );
+
                 const pdfRow = {};
                 visibleColumns.forEach((column) => {
-                    let cellValue = row[column.name] || "";
+                    const value = row[column.name] ?? "";
+                    let cellValue = getExportValue(
+                        formatContext,
+                        column,
+                        row[column.name]
+                    );
 
                     if (column.pdfRender) {
-                        cellValue = column.pdfRender(cellValue, row);
+                        cellValue = column.pdfRender(value, row);
                     } else if (column.render && column.useRenderForPdf) {
-                        cellValue = column.render(cellValue, row);
+                        cellValue = getRenderedText(
+                            column,
+                            column.render(value, row)
+                        );
                     }
 
                     pdfRow[column.label || column.name] = cellValue;
                 });
-                return pdfRow;
+                return [...headerRows, pdfRow];
             });
 
             allData.push(...processedChunk);
@@ -240,6 +247,8 @@ export async function fetchDataForPdf(context, config, visibleColumns, exportPar
         fileName,
         visibleColumns,
         footer,
+        // Totals row from the column footers
+        totalsRow: exportFooter ? exportFooter.getCells() : null,
     };
 }
 
@@ -256,6 +265,7 @@ export async function generatePdf(context, config) {
         data,
         totalProcessed,
         footer,
+        totalsRow,
     } = config;
 
     const { exportable, search } = context;
@@ -338,6 +348,7 @@ export async function generatePdf(context, config) {
         startY: startY + 5,
         head: headers,
         body: body,
+        ...(totalsRow ? { foot: [totalsRow], showFoot: "lastPage" } : {}),
         theme: pdfExportOptions.theme,
         styles: {
             fontSize: 10,
@@ -424,14 +435,8 @@ export async function downloadPdf(context) {
     try {
         const visibleColumns = context.getExportableColumns("pdf");
 
-        // Prepare PDF download parameters
-        const exportParams = new URLSearchParams({
-            search: context.search || "",
-            sortBy: context.sort || "id",
-            order: context.order || "asc",
-            columnFilters: JSON.stringify(context.columnFilters || {}),
-            export: "true",
-        });
+        // Prepare PDF export query
+        const exportQuery = buildExportQuery(context, "pdf");
 
         const exportableConfig = {
             fileName: context.exportable.fileName.pdf || "datatable.pdf",
@@ -444,7 +449,7 @@ export async function downloadPdf(context) {
             context,
             exportableConfig,
             visibleColumns,
-            exportParams
+            exportQuery
         );
 
         if (pdfData.data.length === 0) {
@@ -4,6 +4,17 @@
  */
 
 import { applyElementsToPrint } from "./exportCustomization.js";
+import {
+    buildExportQuery,
+    loadData,
+} from "../methods/dataAdapterMethods.js";
+import { createGroupHeaderWriter } from "../methods/rowGroupMethods.js";
+import { createExportFooter } from "../methods/footerMethods.js";
+import {
+    getExportValue,
+    shouldExportFormatted,
+} from "../methods/formatMethods.js";
+import { escapeHtml, getRenderedHtml } from "../methods/cellRenderMethods.js";
 
 /**
  * Generate print window HTML template
@@ -84,6 +95,15 @@ export function generatePrintWindowHTML(visibleColumns, footer) {
                 tbody tr:nth-child(even) {
                     background-color: #f9f9f9;
                 }
+                tbody tr.totals-row td {
+                    border-top: 2px solid #999;
+                    font-weight: bold;
+                }
+                tbody tr.group-header td {
+                    background-color: #eee;
+                    font-weight: bold;
+                    white-space: pre;
+                }
                 tfoot {
                     display: table-footer-group;
                 }
@@ -206,71 +226,83 @@ export function createPrintWindow(visibleColumns, footer) {
  */
 export async function fetchDataForPrint(context, config, visibleColumns, printWindow) {
     const { chunkSize } = config;
-    const { url, dataSrc, search, sort, order, columnFilters } = context;
 
-    const exportParams = new URLSearchParams({
-        search: search || "",
-        sortBy: sort || "id",
-        order: order || "asc",
-        columnFilters: JSON.stringify(columnFilters || {}),
-        export: "true",
-    });
+    const exportQuery = buildExportQuery(context, "print");
 
     let page = 1;
     let hasMoreData = true;
     let totalProcessed = 0;
     let tableContent = "";
+    const writeGroupHeaders = createGroupHeaderWriter(context, visibleColumns);
+    const exportFooter = createExportFooter(context, visibleColumns);
+    const formatContext = shouldExportFormatted(context, "print") ? context : null;
 
     while (hasMoreData) {
-        // Update pagination parameters for this chunk
-        exportParams.set("page", page);
-        exportParams.set("perPage", chunkSize);
-
         try {
             const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-
-            const response = await fetch(`${url}?${exportParams.toString()}`, {
-                method: "GET",
-                headers: {
-                    "Content-Type": "application/json",
-                    Accept: "application/json",
-                    "X-Requested-With": "XMLHttpRequest",
-                    "X-Requested-For": "print",
-                },
-                signal: controller.signal,
-            });
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(
-                    `Print export data request failed with status: ${response.status}`
+            const timeoutId = context.requestTimeout
+                ? setTimeout(() => controller.abort(), context.requestTimeout)
+                : null;
+
+            // Request this chunk through the data adapter
+            let result;
+            try {
+                result = await loadData(
+                    context,
+                    { ...exportQuery, page, perPage: chunkSize },
+                    controller.signal
                 );
+            } finally {
+                clearTimeout(timeoutId);
             }
 
-            const json = await response.json();
-            const dataChunk = json[dataSrc] || [];
+            const dataChunk = result.rows;
 
             // Check if this is the last chunk
             hasMoreData = dataChunk.length === chunkSize;
             totalProcessed += dataChunk.length;
 
+            exportFooter?.add(dataChunk, result.totals);
+
             // Process and add this chunk of data to table content
             if (dataChunk.length > 0) {
                 dataChunk.forEach((row) => {
+                    writeGroupHeaders?.(row, result.groups).forEach(
+                        (header) => {
+                            tableContent += `<tr class="group-header">${header.cells
+                                .map((cell) => `<td>${escapeHtml(cell)}</td>`)
+                                .join("")}</tr>`;
+                        }
+                    );
+
                     tableContent += "<tr>";
 
                     visibleColumns.forEach((column) => {
                         // Handle cell value based on column configuration
-                        let cellValue = row[column.name] || "";
+                        const value = row[column.name] ?? "";
+                        let cellValue = escapeHtml(
+                            getExportValue(
+                                formatContext,
+                                column,
+                                row[column.name]
+                            )
+                        );
 
                         // Apply custom render function if it exists and is meant for print
+                        // (HTML only with column.html, like in the table)
                         if (column.printRender) {
-                            cellValue = column.printRender(cellValue, row);
+                            cellValue = getRenderedHtml(
+                                context,
+                                column,
+                                column.printRender(value, row)
+                            );
                         } else if (column.render && column.useRenderForPrint) {
                             // Use the render function
-                            cellValue = column.render(cellValue, row);
+                            cellValue = getRenderedHtml(
+                                context,
+                                column,
+                                column.render(value, row)
+                            );
                         }
 
                         // Add the cell to the row
@@ -291,12 +323,22 @@ export async function fetchDataForPrint(context, config, visibleColumns, printWi
             if (printWindow && printWindow.document) {
                 const loadingDiv = printWindow.document.querySelector(".loading");
                 if (loadingDiv) {
-                    loadingDiv.innerHTML = `<div style="color:red;">Error loading data: ${error.message}</div>`;
+                    loadingDiv.innerHTML = `<div style="color:red;">Error loading data: ${escapeHtml(
+                        error.message
+                    )}</div>`;
                 }
             }
         }
     }
 
+    // Totals row from the column footers
+    if (exportFooter && totalProcessed > 0) {
+        tableContent += `<tr class="totals-row">${exportFooter
+            .getCells()
+            .map((cell) => `<td>${escapeHtml(cell)}</td>`)
+            .join("")}</tr>`;
+    }
+
     return tableContent;
 }
 
@@ -11,6 +11,12 @@
 // | `End`         | Go to last row                     |
 // | `Ctrl + End`  | Go to last page (calls method)     |
 
+// Reorder Keys (rowReorder)
+// | Shortcut          | Action                      |
+// | ----------------- | --------------------------- |
+// | `Alt + ArrowUp`   | Move current row up         |
+// | `Alt + ArrowDown` | Move current row down       |
+
 // Action Keys (with modifier)
 // | Shortcut   | Action             |
 // | ---------- | ------------------ |
@@ -31,6 +37,8 @@
 // | `Space`  | Toggle selection of current row       |
 // | `Enter`  | Trigger row activation (open row)     |
 // | `Escape` | Clear all selected rows               |
+// | `+`      | Expand current tree row or details    |
+// | `-`      | Collapse current tree row or details  |
 
 export class KeyboardNavigation {
     /**
@@ -79,6 +87,7 @@ export class KeyboardNavigation {
      */
     handleKeyDown(e) {
         if (!this.enabled) return;
+        if (this._handleReorderKey(e)) return;
         if (this._shouldIgnoreKeyEvent(e)) return;
 
         // Navigation keys
@@ -178,6 +187,19 @@ export class KeyboardNavigation {
                     e.preventDefault();
                     this._toggleRowSelection();
                     break;
+                case "+":
+                case "=":
+                    if (this.main?.tree || this.main?.rowDetails) {
+                        e.preventDefault();
+                        this._toggleCurrentRow(true);
+                    }
+                    break;
+                case "-":
+                    if (this.main?.tree || this.main?.rowDetails) {
+                        e.preventDefault();
+                        this._toggleCurrentRow(false);
+                    }
+                    break;
             }
         }
     }
@@ -250,6 +272,46 @@ export class KeyboardNavigation {
         );
     }
 
+    // Alt + ArrowUp / Alt + ArrowDown
+    _handleReorderKey(e) {
+        if (!e.altKey || !this.main?.rowReorder) return false;
+        if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return false;
+        if (
+            ["INPUT", "TEXTAREA", "SELECT"].includes(
+                document.activeElement.tagName
+            )
+        ) {
+            return false;
+        }
+
+        e.preventDefault();
+        this._moveCurrentRow(e.key === "ArrowUp" ? -1 : 1);
+        return true;
+    }
+
+    async _moveCurrentRow(direction) {
+        const rows = this._getVisibleRows();
+        const currentIndex = this._getCurrentRowIndex(rows);
+        if (currentIndex < 0) return;
+
+        const rowId = rows[currentIndex].dataset.id;
+        const index = this.getData().findIndex(
+            (item) => String(item.id) === rowId
+        );
+        if (index < 0) return;
+
+        await this.main.moveRow(rowId, index + direction, "keyboard");
+
+        // The keyed renderer keeps the <tr>, follow it
+        const row = this.table.querySelector(
+            `tbody tr[data-id="${CSS.escape(rowId)}"]`
+        );
+        if (row) {
+            this.lastSelectedRow = row;
+            this._scrollRowIntoView(row);
+        }
+    }
+
     _getVisibleRows() {
         return Array.from(this.table.querySelectorAll("tbody tr[data-id]"));
     }
@@ -327,6 +389,29 @@ export class KeyboardNavigation {
         }
     }
 
+    // + / -
+    async _toggleCurrentRow(expand) {
+        const rows = this._getVisibleRows();
+        const currentIndex = this._getCurrentRowIndex(rows);
+        if (currentIndex < 0) return;
+
+        const rowId = rows[currentIndex].dataset.id;
+
+        // Tree rows open their children, other rows their details
+        if (this.main.tree) {
+            const changed = expand
+                ? await this.main.expandNode(rowId)
+                : await this.main.collapseNode(rowId);
+            if (changed || !this.main.rowDetails) return;
+        }
+
+        if (expand) {
+            this.main.expandRow(rowId);
+        } else {
+            this.main.collapseRow(rowId);
+        }
+    }
+
     _goToFirstRow() {
         const rows = this._getVisibleRows();
         if (rows.length > 0) {
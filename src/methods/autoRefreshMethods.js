@@ -0,0 +1,136 @@
+/**
+ * Auto Refresh Methods
+ * Internal methods for periodic background refresh (not public API)
+ *
+ * Each tick calls fetchData({ preserve: true }), which patches the rendered
+ * rows in place instead of rebuilding the tbody, so selection, scroll
+ * position and an open inline editor survive the refresh.
+ */
+
+/**
+ * Normalize the `autoRefresh` option
+ * @param {number|Object|null} autoRefresh - Interval in ms or
+ *   { interval, pauseWhenHidden, pauseWhileEditing }
+ * @returns {Object|null} Normalized config or null when disabled
+ */
+export function normalizeAutoRefreshConfig(autoRefresh) {
+    if (!autoRefresh) return null;
+
+    const config =
+        typeof autoRefresh === "number"
+            ? { interval: autoRefresh }
+            : autoRefresh;
+
+    return {
+        interval: Math.max(1000, Number(config.interval) || 30000),
+        pauseWhenHidden: config.pauseWhenHidden !== false,
+        pauseWhileEditing: config.pauseWhileEditing !== false,
+    };
+}
+
+/**
+ * Check whether an inline cell editor is open
+ * @param {Object} context - DataTable instance
+ * @returns {boolean} True if a cell is being edited
+ */
+export function isEditingCell(context) {
+    return Boolean(context.table?.querySelector("tbody [data-inline-editor]"));
+}
+
+/**
+ * Check whether this tick should be skipped
+ * @param {Object} context - DataTable instance
+ * @returns {boolean} True if the refresh is paused
+ * @private
+ */
+function isPaused(context) {
+    const config = context.autoRefresh;
+
+    if (config.pauseWhenHidden && document.hidden) return true;
+    if (config.pauseWhileEditing && isEditingCell(context)) return true;
+    // Don't abort a request the user just started (search, paging...)
+    if (context._fetchController) return true;
+    // Infinite scroll: refreshing would drop the pages loaded below
+    if (context.infiniteScroll && context.currentPage > 1) return true;
+
+    return false;
+}
+
+/**
+ * Schedule the next tick
+ * Ticks are chained with setTimeout so a slow request never overlaps
+ * the next one.
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function scheduleTick(context) {
+    clearTimeout(context._autoRefreshTimer);
+    context._autoRefreshTimer = setTimeout(
+        () => tick(context),
+        context.autoRefresh.interval
+    );
+}
+
+/**
+ * Refresh unless paused, then schedule the next tick
+ * @param {Object} context - DataTable instance
+ * @returns {Promise<void>}
+ * @private
+ */
+async function tick(context) {
+    if (!context._autoRefreshActive) return;
+
+    if (!isPaused(context)) {
+        await context.fetchData({ preserve: true });
+    }
+
+    if (context._autoRefreshActive) scheduleTick(context);
+}
+
+/**
+ * Start periodic refresh
+ * @param {Object} context - DataTable instance
+ * @param {number} [interval] - Override the configured interval (ms)
+ * @returns {void}
+ */
+export function startAutoRefresh(context, interval) {
+    stopAutoRefresh(context);
+
+    context.autoRefresh = normalizeAutoRefreshConfig({
+        ...(context.autoRefresh || {}),
+        ...(interval ? { interval } : {}),
+    });
+    context._autoRefreshActive = true;
+
+    // Data is likely stale after the tab was in the background
+    context._autoRefreshVisibilityHandler = () => {
+        if (!document.hidden && context.autoRefresh.pauseWhenHidden) {
+            tick(context);
+        }
+    };
+    document.addEventListener(
+        "visibilitychange",
+        context._autoRefreshVisibilityHandler
+    );
+
+    scheduleTick(context);
+}
+
+/**
+ * Stop periodic refresh
+ * @param {Object} context - DataTable instance
+ * @returns {void}
+ */
+export function stopAutoRefresh(context) {
+    context._autoRefreshActive = false;
+    clearTimeout(context._autoRefreshTimer);
+    context._autoRefreshTimer = null;
+
+    if (context._autoRefreshVisibilityHandler) {
+        document.removeEventListener(
+            "visibilitychange",
+            context._autoRefreshVisibilityHandler
+        );
+        context._autoRefreshVisibilityHandler = null;
+    }
+}
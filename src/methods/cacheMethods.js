@@ -0,0 +1,183 @@
+/**
+ * Cache Methods
+ * Internal methods for the opt-in response cache and next-page prefetch
+ * (not public API)
+ *
+ * Loaded pages are stored in `context._cache` (a Map, oldest entry first)
+ * keyed on everything that changes the result: search, sort, order, page,
+ * perPage, filters and columnFilters, plus the expand state of client-side
+ * trees (they are flattened by the local adapter). Entries hold their own
+ * copy of the rows array, so moving or patching the rendered rows doesn't
+ * rewrite the cache.
+ */
+
+import { loadData } from "./dataAdapterMethods.js";
+
+/**
+ * Normalize the `cache` option
+ * @param {boolean|Object} cache - true, false or { ttl, maxEntries, prefetch }
+ * @returns {Object} { enabled, ttl, maxEntries, prefetch }
+ */
+export function normalizeCacheConfig(cache) {
+    const options = cache && typeof cache === "object" ? cache : {};
+    return {
+        enabled: Boolean(cache) && options.enabled !== false,
+        ttl: options.ttl ?? 5 * 60 * 1000, // 5 minutes
+        maxEntries: options.maxEntries ?? 50,
+        prefetch: options.prefetch ?? true,
+    };
+}
+
+/**
+ * Serialize an object with sorted keys so equal filters give equal keys
+ * @param {Object} value - Object to serialize
+ * @returns {string} Stable JSON string
+ * @private
+ */
+function stableStringify(value) {
+    return JSON.stringify(
+        Object.keys(value || {})
+            .sort()
+            .map((key) => [key, value[key]])
+    );
+}
+
+/**
+ * Build the cache key for a query
+ * @param {Object} query - Query object
+ * @returns {string} Cache key
+ */
+export function getCacheKey(query) {
+    return [
+        query.search ?? "",
+        query.sortBy ?? "",
+        query.order ?? "",
+        query.page ?? 1,
+        query.perPage ?? "",
+        stableStringify(query.filters),
+        stableStringify(query.columnFilters),
+        (query.groupBy || []).join(","),
+    ].join("|");
+}
+
+/**
+ * Build the cache key for a query on this table
+ * Client-side trees also depend on which nodes are open and loaded.
+ * @param {Object} context - DataTable instance
+ * @param {Object} query - Query object
+ * @returns {string} Cache key
+ * @private
+ */
+function getTableCacheKey(context, query) {
+    const key = getCacheKey(query);
+    if (!context.tree || context.serverSide) return key;
+
+    const treeState = [
+        context._treeExpandAll ? "all" : "",
+        [...(context._treeToggled || [])].sort().join(","),
+        [...(context._treeChildren?.keys() || [])].sort().join(","),
+    ].join(";");
+    return `${key}|${treeState}`;
+}
+
+/**
+ * Copy a result so the cache and the table don't share a rows array
+ * @param {Object} result - Normalized adapter result
+ * @returns {Object} Result with its own rows array
+ * @private
+ */
+function copyResult(result) {
+    return { ...result, rows: result.rows.slice() };
+}
+
+/**
+ * Read a cached result for a query
+ * Expired entries are dropped, hits move to the end of the Map so the
+ * least recently used entry is evicted first.
+ * @param {Object} context - DataTable instance
+ * @param {Object} query - Query object
+ * @returns {Object|null} Cached { rows, total, page, lastPage } or null
+ */
+export function readCache(context, query) {
+    if (!context.cache?.enabled) return null;
+
+    const key = getTableCacheKey(context, query);
+    const entry = context._cache.get(key);
+    if (!entry) return null;
+
+    context._cache.delete(key);
+    if (Date.now() - entry.time > context.cache.ttl) return null;
+
+    context._cache.set(key, entry);
+    return copyResult(entry.result);
+}
+
+/**
+ * Store a result for a query
+ * @param {Object} context - DataTable instance
+ * @param {Object} query - Query object
+ * @param {Object} result - Normalized adapter result
+ * @returns {void}
+ */
+export function writeCache(context, query, result) {
+    if (!context.cache?.enabled) return;
+
+    const key = getTableCacheKey(context, query);
+    context._cache.delete(key);
+    context._cache.set(key, { result: copyResult(result), time: Date.now() });
+
+    while (context._cache.size > context.cache.maxEntries) {
+        context._cache.delete(context._cache.keys().next().value);
+    }
+}
+
+/**
+ * Drop every cached result and cancel running prefetches
+ * @param {Object} context - DataTable instance
+ * @returns {void}
+ */
+export function clearCache(context) {
+    context._cache?.clear();
+    context._prefetchControllers?.forEach((controller) => controller.abort());
+    context._prefetchControllers?.clear();
+}
+
+/**
+ * Load the page after `query` in the background and cache it
+ * Failures are ignored - the page is simply requested again when visited.
+ * @param {Object} context - DataTable instance
+ * @param {Object} query - Query of the page that was just rendered
+ * @param {Object} result - Its result (used for `lastPage`)
+ * @returns {Promise<void>}
+ */
+export async function prefetchNextPage(context, query, result) {
+    if (!context.cache?.enabled || !context.cache.prefetch) return;
+    if (!query.perPage || result.page >= result.lastPage) return;
+
+    const nextQuery = { ...query, page: result.page + 1 };
+    const key = getTableCacheKey(context, nextQuery);
+    if (context._cache.has(key) || context._prefetchControllers.has(key)) {
+        return;
+    }
+
+    const controller = new AbortController();
+    context._prefetchControllers.set(key, controller);
+    const timeoutId = context.requestTimeout
+        ? setTimeout(() => controller.abort(), context.requestTimeout)
+        : null;
+
+    try {
+        const nextResult = await loadData(context, nextQuery, controller.signal);
+        // clearCache() during the request aborts it, so this is still fresh
+        if (!controller.signal.aborted) {
+            writeCache(context, nextQuery, nextResult);
+        }
+    } catch (e) {
+        // Ignore, the page will be fetched normally
+    } finally {
+        clearTimeout(timeoutId);
+        if (context._prefetchControllers.get(key) === controller) {
+            context._prefetchControllers.delete(key);
+        }
+    }
+}
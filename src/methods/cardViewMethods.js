@@ -0,0 +1,245 @@
+/**
+ * Card View Methods
+ * Internal methods for the card / list layout (not public API)
+ *
+ * Card view keeps the <table> and its rows: every <tr data-id> holds one
+ * cell with the card, and `data-view="card"` on the table switches the
+ * layout (cards in a grid, header cells as a wrapping row of sort
+ * buttons). Sorting, search, selection, keyboard navigation and pagination
+ * keep working on the same elements.
+ */
+
+import { sanitizeHtml } from "./cellRenderMethods.js";
+
+const CARD_VIEW_STYLES = `
+table[data-view="card"],
+table[data-view="card"] > thead,
+table[data-view="card"] > tfoot { display: block; }
+table[data-view="card"] > thead > tr,
+table[data-view="card"] > tfoot > tr { display: flex; flex-wrap: wrap; }
+table[data-view="card"] > colgroup { display: none; }
+table[data-view="card"] > tbody {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(min(100%, var(--datatable-card-width, 18rem)), 1fr));
+    gap: 1rem;
+}
+table[data-view="card"] > tbody > tr,
+table[data-view="card"] > tbody > tr > td { display: block; }
+table[data-view="card"] > tbody > tr:not([data-id]) { grid-column: 1 / -1; }
+`;
+
+/**
+ * Normalize the `cardView` option
+ * @param {boolean|Object|null} cardView - true or { view, breakpoint, showButton }
+ * @param {Function|null} cardTemplate - (row) => HTML string | Node
+ * @returns {Object|null} Normalized config or null when disabled
+ */
+export function normalizeCardViewConfig(cardView, cardTemplate) {
+    if (!cardView && !cardTemplate) return null;
+
+    const options = typeof cardView === "object" && cardView ? cardView : {};
+    return {
+        // "auto" switches at the breakpoint, "card" or "table" to start with
+        view: ["card", "table"].includes(options.view) ? options.view : "auto",
+        breakpoint: options.breakpoint ?? 640, // container width in px
+        showButton: options.showButton !== false,
+        template: typeof cardTemplate === "function" ? cardTemplate : null,
+    };
+}
+
+/**
+ * Add the card view styles to the document once
+ * @private
+ */
+function injectCardViewStyles() {
+    if (document.getElementById("datatable-card-view-styles")) return;
+
+    const style = document.createElement("style");
+    style.id = "datatable-card-view-styles";
+    style.textContent = CARD_VIEW_STYLES;
+    document.head.appendChild(style);
+}
+
+/**
+ * Split a theme value into class names
+ * @param {string} [value] - Theme value
+ * @returns {Array<string>} Class names
+ * @private
+ */
+function toClasses(value) {
+    return (value || "").split(" ").filter(Boolean);
+}
+
+/**
+ * Create the cell holding a row's card
+ * Without a `cardTemplate`, every visible column is shown as a label and
+ * its value, rendered by renderCell() like a table cell.
+ * @param {Object} context - DataTable instance
+ * @param {Object} row - Row data
+ * @param {number} rowIndex - Row index on the current page
+ * @returns {HTMLTableCellElement} Card cell
+ */
+export function createCardCell(context, row, rowIndex) {
+    const theme = context.theme;
+    const columns = context.columns.filter((column) =>
+        context.isColumnVisible(column.name)
+    );
+
+    const td = document.createElement("td");
+    td.className = theme.card || "";
+    td.dataset.card = "true";
+    // Spanning all columns keeps pinned column styles off the card
+    td.colSpan = columns.length || 1;
+
+    const template = context.cardView?.template;
+    if (template) {
+        const content = template(row);
+        if (content instanceof Node) {
+            td.replaceChildren(content);
+        } else {
+            td.innerHTML = sanitizeHtml(context, String(content ?? ""));
+        }
+        return td;
+    }
+
+    columns.forEach((column) => {
+        const field = document.createElement("div");
+        field.className = theme.cardField || "";
+
+        const label = document.createElement("div");
+        label.className = theme.cardLabel || "";
+        label.textContent = column.label || column.name;
+
+        const value = document.createElement("div");
+        context.renderCell(value, row, column, rowIndex);
+        // Card spacing instead of the table cell's
+        const cellClasses = toClasses(theme.cell);
+        if (cellClasses.length) value.classList.remove(...cellClasses);
+        value.classList.add(...toClasses(theme.cardValue));
+
+        field.append(label, value);
+        td.appendChild(field);
+    });
+
+    return td;
+}
+
+/**
+ * Reflect the current view on the toggle button
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function updateToggleButton(context) {
+    const button = document.getElementById(context.buttonConfig.cardView.id);
+    if (!button) return;
+
+    button.setAttribute("aria-pressed", String(context._cardView));
+    button.title = context._cardView ? "Show as table" : "Show as cards";
+}
+
+/**
+ * Switch between the table and the card layout and re-render
+ * @param {Object} context - DataTable instance
+ * @param {boolean} active - True for card view
+ * @private
+ */
+function applyView(context, active) {
+    if (context._cardView === active) return;
+
+    context._cardView = active;
+    context.table.dataset.view = active ? "card" : "table";
+    // Cards show every column, responsive mode recalculates on the way back
+    if (context.responsive) context._responsiveHidden = new Set();
+
+    context.renderTableHeader();
+    if (context.data?.length) context.renderTable(context.data);
+    updateToggleButton(context);
+
+    context.table.dispatchEvent(
+        new CustomEvent("datatable:view-change", {
+            detail: { view: active ? "card" : "table" },
+            bubbles: true,
+        })
+    );
+}
+
+/**
+ * Pick the view for the container width (automatic mode only)
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function applyBreakpoint(context) {
+    if (context._viewMode !== "auto") return;
+
+    const width = context.table.parentElement?.clientWidth || 0;
+    applyView(context, width > 0 && width < context.cardView.breakpoint);
+}
+
+/**
+ * Set the layout
+ * @param {Object} context - DataTable instance
+ * @param {string} view - "card", "table" or "auto" (switch at the breakpoint)
+ * @returns {boolean} True if the view mode was applied
+ */
+export function setView(context, view) {
+    if (!context.cardView) {
+        console.warn("setView requires the cardView option");
+        return false;
+    }
+    if (!["card", "table", "auto"].includes(view)) {
+        console.warn(`View must be "card", "table" or "auto"`);
+        return false;
+    }
+
+    context._viewMode = view;
+    if (view === "auto") applyBreakpoint(context);
+    else applyView(context, view === "card");
+    return true;
+}
+
+/**
+ * Get the current layout
+ * @param {Object} context - DataTable instance
+ * @returns {string} "card" or "table"
+ */
+export function getView(context) {
+    return context._cardView ? "card" : "table";
+}
+
+/**
+ * Apply the initial view and follow the container width
+ * @param {Object} context - DataTable instance
+ */
+export function initCardView(context) {
+    if (!context.cardView || !context.table) return;
+
+    injectCardViewStyles();
+    context._viewMode = context.cardView.view;
+    context.table.dataset.view = "table";
+    setView(context, context._viewMode);
+    updateToggleButton(context);
+
+    const container = context.table.parentElement;
+    if (!container || typeof ResizeObserver === "undefined") return;
+
+    let frame = null;
+    context._cardViewObserver = new ResizeObserver(() => {
+        cancelAnimationFrame(frame);
+        frame = requestAnimationFrame(() => applyBreakpoint(context));
+    });
+    context._cardViewObserver.observe(container);
+}
+
+/**
+ * Switch views with the toggle button from addDefaultControls()
+ * Using the button turns the automatic switch off.
+ * @param {Object} context - DataTable instance
+ */
+export function bindCardViewButton(context) {
+    const button = document.getElementById(context.buttonConfig.cardView.id);
+    if (!button) return;
+
+    button.addEventListener("click", () =>
+        setView(context, context._cardView ? "table" : "card")
+    );
+}
@@ -0,0 +1,149 @@
+/**
+ * Cell Render Methods
+ * Internal methods for putting values into cells safely (not public API)
+ *
+ * Values and `render` results are inserted as text. HTML returned by
+ * `render` is only used for columns with `html: true`, passed through the
+ * `sanitize` hook first when there is one. Search highlighting wraps the
+ * matches inside text nodes, so markup and attributes are never touched.
+ */
+
+import { formatValue } from "./formatMethods.js";
+
+/**
+ * Escape a value for use in an HTML string
+ * @param {*} value - Any value
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Run HTML through the `sanitize` hook, if set
+ * @param {Object} context - DataTable instance
+ * @param {string} html - HTML string
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(context, html) {
+    if (typeof context.sanitize !== "function") return html;
+    try {
+        return String(context.sanitize(html) ?? "");
+    } catch (error) {
+        // Showing unsanitized markup is not an option
+        console.error("sanitize failed, showing the content as text:", error);
+        return escapeHtml(html);
+    }
+}
+
+/**
+ * Put a cell value into an element
+ * `render` may return a Node (inserted as is) or a string, which is text
+ * unless the column has `html: true`. Without `render`, a `format` is used.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} element - Cell (or card value) element
+ * @param {Object} column - Column config
+ * @param {*} value - Cell value
+ * @param {Object} row - Row data
+ */
+export function setCellContent(context, element, column, value, row) {
+    const hasRenderer = typeof column.render === "function";
+    const rendered = hasRenderer
+        ? column.render(value, row)
+        : formatValue(context, column, value) ?? value;
+
+    if (rendered instanceof Node) {
+        element.replaceChildren(rendered);
+    } else if (hasRenderer && column.html === true) {
+        element.innerHTML = sanitizeHtml(context, String(rendered ?? ""));
+    } else {
+        element.textContent = rendered ?? "";
+    }
+}
+
+/**
+ * Get the HTML for a renderer's output, for exports that build HTML
+ * Same rules as setCellContent(): text unless the column has `html: true`.
+ * @param {Object} context - DataTable (or export) context with `sanitize`
+ * @param {Object} column - Column config
+ * @param {*} rendered - Renderer output
+ * @returns {string} HTML string
+ */
+export function getRenderedHtml(context, column, rendered) {
+    if (rendered instanceof Element) return rendered.outerHTML;
+    if (rendered instanceof Node) return escapeHtml(rendered.textContent);
+    return column.html === true
+        ? sanitizeHtml(context, String(rendered ?? ""))
+        : escapeHtml(rendered);
+}
+
+/**
+ * Get the text of a renderer's output, for text exports (CSV, Excel)
+ * HTML (columns with `html: true`) is parsed in an inert document, so
+ * nothing in it loads or runs; anything else already is text.
+ * @param {Object} column - Column config
+ * @param {*} rendered - Renderer output
+ * @returns {string} Text
+ */
+export function getRenderedText(column, rendered) {
+    if (rendered instanceof Node) return rendered.textContent || "";
+    if (column.html !== true) return String(rendered ?? "");
+
+    const doc = new DOMParser().parseFromString(
+        String(rendered ?? ""),
+        "text/html"
+    );
+    return doc.body.textContent || "";
+}
+
+/**
+ * Highlight the search term in a rendered cell (`column.highlightable`)
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} element - Rendered cell
+ * @param {Object} column - Column config
+ */
+export function highlightSearch(context, element, column) {
+    if (!column.highlightable || !context.search) return;
+
+    const config =
+        typeof column.highlightable === "object" ? column.highlightable : {};
+    const color = config.color || context.theme.highlight || "bg-yellow-200";
+    const tag = config.tag || "mark";
+
+    const escapedSearch = context.search.replace(
+        /[-\/\\^$*+?.()|[\]{}]/g,
+        "\\$&"
+    );
+    const regex = new RegExp(escapedSearch, "gi");
+
+    // Collect first, wrapping matches changes the tree being walked
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach((node) => {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+
+        for (const match of text.matchAll(regex)) {
+            if (!match[0]) continue;
+            fragment.append(text.slice(last, match.index));
+
+            const mark = document.createElement(tag);
+            mark.className = color;
+            mark.textContent = match[0];
+            fragment.append(mark);
+            last = match.index + match[0].length;
+        }
+
+        if (last === 0) return;
+        fragment.append(text.slice(last));
+        node.replaceWith(fragment);
+    });
+}
@@ -0,0 +1,191 @@
+/**
+ * Client Data Methods
+ * Internal methods for client-side data mode (not public API)
+ * Sorts, searches, filters and paginates an in-memory dataset instead of
+ * requesting every page from the server. Used by the local data adapter.
+ */
+
+/**
+ * Check whether a value counts as "empty" for filtering purposes
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is empty
+ * @private
+ */
+function isEmptyValue(value) {
+    return value === "" || value === null || value === undefined;
+}
+
+/**
+ * Compare two cell values for sorting
+ * Numbers are compared numerically, everything else with a natural,
+ * case-insensitive string comparison. Empty values always sort last,
+ * regardless of direction.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {string} [order="asc"] - Sort direction ('asc' or 'desc')
+ * @returns {number} Negative, zero or positive number
+ */
+export function compareValues(a, b, order = "asc") {
+    const aEmpty = isEmptyValue(a);
+    const bEmpty = isEmptyValue(b);
+    if (aEmpty && bEmpty) return 0;
+    if (aEmpty) return 1;
+    if (bEmpty) return -1;
+
+    const direction = order === "desc" ? -1 : 1;
+
+    if (typeof a === "number" && typeof b === "number") {
+        return (a - b) * direction;
+    }
+
+    return (
+        String(a).localeCompare(String(b), undefined, {
+            numeric: true,
+            sensitivity: "base",
+        }) * direction
+    );
+}
+
+/**
+ * Check if a row matches the global search term
+ * @param {Object} row - Row data object
+ * @param {string} term - Lower-cased search term
+ * @param {Array} columns - Searchable columns
+ * @returns {boolean} True if any searchable column contains the term
+ * @private
+ */
+function matchesSearch(row, term, columns) {
+    return columns.some((column) =>
+        String(row[column.name] ?? "")
+            .toLowerCase()
+            .includes(term)
+    );
+}
+
+/**
+ * Check if a row matches all column filters (case-insensitive "contains")
+ * @param {Object} row - Row data object
+ * @param {Object} columnFilters - Map of column name to filter value
+ * @returns {boolean} True if row matches every non-empty column filter
+ * @private
+ */
+function matchesColumnFilters(row, columnFilters) {
+    return Object.entries(columnFilters || {}).every(([column, value]) => {
+        if (isEmptyValue(value)) return true;
+        return String(row[column] ?? "")
+            .toLowerCase()
+            .includes(String(value).toLowerCase());
+    });
+}
+
+/**
+ * Check if a row matches all normal filters (loose equality)
+ * Filter keys that don't exist on the row are ignored, the same way
+ * a backend ignores query params it doesn't know about.
+ * @param {Object} row - Row data object
+ * @param {Object} filters - Map of field name to filter value
+ * @returns {boolean} True if row matches every applicable filter
+ * @private
+ */
+function matchesFilters(row, filters) {
+    return Object.entries(filters || {}).every(([key, value]) => {
+        if (isEmptyValue(value) || !(key in row)) return true;
+        if (Array.isArray(value)) {
+            return value.map(String).includes(String(row[key]));
+        }
+        return String(row[key]) === String(value);
+    });
+}
+
+/**
+ * Create a predicate for the search and filters of a query
+ * @param {Object} query - Query options (search, columnFilters, filters)
+ * @param {Array} columns - Columns configuration
+ * @returns {Function} (row) => true if the row matches
+ */
+export function createRowMatcher(query, columns = []) {
+    const { search = "", columnFilters = {}, filters = {} } = query;
+
+    const term = String(search || "").trim().toLowerCase();
+    const searchableColumns = columns.filter(
+        (column) => column.searchable !== false
+    );
+
+    return (row) =>
+        (!term || matchesSearch(row, term, searchableColumns)) &&
+        matchesColumnFilters(row, columnFilters) &&
+        matchesFilters(row, filters);
+}
+
+/**
+ * Slice one page out of a filtered and sorted dataset
+ * @param {Array} rows - Filtered and sorted rows
+ * @param {number} [page=1] - Page number (1-based)
+ * @param {number} [perPage=0] - Rows per page (falsy for all rows)
+ * @returns {Object} { rows, current_page, last_page, total }
+ */
+export function paginateRows(rows, page = 1, perPage = 0) {
+    const total = rows.length;
+
+    if (!perPage) {
+        return { rows, current_page: 1, last_page: 1, total };
+    }
+
+    const last_page = Math.max(1, Math.ceil(total / perPage));
+    // Pages past the end come back empty, like they would from a server
+    const current_page = Math.max(1, page);
+    const start = (current_page - 1) * perPage;
+
+    return {
+        rows: rows.slice(start, start + perPage),
+        current_page,
+        last_page,
+        total,
+    };
+}
+
+/**
+ * Filter, sort and paginate a dataset
+ * @param {Array} rows - Full dataset
+ * @param {Object} query - Query options
+ * @param {string} [query.search] - Global search term
+ * @param {string} [query.sortBy] - Column name to sort by
+ * @param {string} [query.order] - Sort direction ('asc' or 'desc')
+ * @param {number} [query.page] - Page number (1-based)
+ * @param {number} [query.perPage] - Rows per page (falsy for all rows)
+ * @param {Object} [query.columnFilters] - Column filters
+ * @param {Object} [query.filters] - Normal filters
+ * @param {Array<string>} [query.groupBy] - Row group fields, sorted first
+ * @param {Array} columns - Columns configuration
+ * @returns {Object} { rows, current_page, last_page, total, matched }
+ *   (`matched` holds every filtered row, e.g. for group aggregates)
+ */
+export function queryRows(rows, query, columns = []) {
+    const {
+        sortBy = "",
+        order = "asc",
+        page = 1,
+        perPage = 0,
+        groupBy = [],
+    } = query;
+
+    const filtered = (rows || []).filter(createRowMatcher(query, columns));
+
+    if (sortBy || groupBy.length) {
+        // filter() returned a new array, so the source dataset keeps its order
+        filtered.sort((a, b) => {
+            // Keep groups together; a group field can still be sorted desc
+            for (const field of groupBy) {
+                const result = compareValues(
+                    a[field],
+                    b[field],
+                    field === sortBy ? order : "asc"
+                );
+                if (result) return result;
+            }
+            return sortBy ? compareValues(a[sortBy], b[sortBy], order) : 0;
+        });
+    }
+
+    return { ...paginateRows(filtered, page, perPage), matched: filtered };
+}
@@ -0,0 +1,234 @@
+/**
+ * Column Order Methods
+ * Internal methods for reordering columns (not public API)
+ *
+ * The user's order is kept in `_columnOrder` (column names) and applied to
+ * `context.columns` by applyColumnPinOrder(), so the header, rows and
+ * exports (getExportableColumns) all follow it and pinned columns stay at
+ * their edge. A move is refused when it would split a `columnGroups` group.
+ */
+
+import { applyColumnPinOrder, getPinSide } from "./columnPinMethods.js";
+
+/**
+ * Get the current column order
+ * @param {Object} context - DataTable instance
+ * @returns {Array<string>} Column names, as displayed
+ */
+export function getColumnOrder(context) {
+    return context.columns.map((column) => column.name);
+}
+
+/**
+ * Check that the columns of every group stay next to each other
+ * Pinned columns are left out, pinning may already split a group.
+ * @param {Object} context - DataTable instance
+ * @param {Array<string>} order - Column names
+ * @returns {boolean} True if no group is split
+ * @private
+ */
+function keepsGroupsTogether(context, order) {
+    const groups = new Map(
+        context.columns.map((column) => [column.name, column.group])
+    );
+    const closed = new Set();
+    let current;
+
+    return order
+        .filter((name) => !getPinSide(context, name))
+        .every((name) => {
+            const group = groups.get(name);
+            if (group !== current) {
+                if (current) closed.add(current);
+                if (group && closed.has(group)) return false;
+                current = group;
+            }
+            return true;
+        });
+}
+
+/**
+ * Apply a new column order and re-render
+ * @param {Object} context - DataTable instance
+ * @param {Array<string>} order - Complete list of column names
+ * @param {string} source - "drag" or "api" (event detail)
+ * @returns {boolean} True if the order was applied
+ * @private
+ */
+function applyColumnOrder(context, order, source) {
+    if (!keepsGroupsTogether(context, order)) {
+        console.warn("Columns of a group must stay next to each other");
+        return false;
+    }
+
+    context._columnOrder = order;
+    applyColumnPinOrder(context);
+
+    if (context.enableSaveState && context.saveState) {
+        context.saveState();
+    }
+
+    context.renderTableHeader();
+    if (context.data?.length) context.renderTable(context.data);
+
+    context.table?.dispatchEvent(
+        new CustomEvent("datatable:column-reorder", {
+            detail: { order: getColumnOrder(context), source },
+            bubbles: true,
+        })
+    );
+    return true;
+}
+
+/**
+ * Set the order of the columns
+ * Columns left out keep their relative order after the listed ones.
+ * @param {Object} context - DataTable instance
+ * @param {Array<string>} names - Column names in the new order
+ * @param {string} [source="api"] - What caused the change (event detail)
+ * @returns {boolean} True if the order was applied
+ */
+export function setColumnOrder(context, names, source = "api") {
+    if (!Array.isArray(names)) {
+        console.warn("setColumnOrder expects an array of column names");
+        return false;
+    }
+
+    const current = getColumnOrder(context);
+    const listed = names.filter((name, index) => {
+        if (!current.includes(name)) {
+            console.warn(`Column "${name}" not found`);
+            return false;
+        }
+        return names.indexOf(name) === index;
+    });
+    const order = [
+        ...listed,
+        ...current.filter((name) => !listed.includes(name)),
+    ];
+
+    return applyColumnOrder(context, order, source);
+}
+
+/**
+ * Move a column to another position
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @param {number} toIndex - New index in the column order
+ * @param {string} [source="api"] - What caused the change (event detail)
+ * @returns {boolean} True if the column was moved
+ */
+export function moveColumn(context, columnName, toIndex, source = "api") {
+    const order = getColumnOrder(context);
+    const from = order.indexOf(columnName);
+    if (from === -1) {
+        console.warn(`Column "${columnName}" not found`);
+        return false;
+    }
+
+    const to = Math.max(0, Math.min(Number(toIndex) || 0, order.length - 1));
+    if (to === from) return false;
+
+    order.splice(from, 1);
+    order.splice(to, 0, columnName);
+    return applyColumnOrder(context, order, source);
+}
+
+/**
+ * Split a theme value into class names
+ * @param {string} [value] - Theme value
+ * @returns {Array<string>} Class names
+ * @private
+ */
+function toClasses(value) {
+    return (value || "").split(" ").filter(Boolean);
+}
+
+/**
+ * Remove the drop indicator from a header cell
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableCellElement} th - Header cell
+ * @private
+ */
+function clearDropIndicator(context, th) {
+    const classes = [
+        ...toClasses(context.theme.reorderTargetBefore),
+        ...toClasses(context.theme.reorderTargetAfter),
+    ];
+    if (classes.length) th.classList.remove(...classes);
+}
+
+/**
+ * Make a header cell draggable to reorder its column
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableCellElement} th - Header cell
+ * @param {Object} column - Column config
+ */
+export function addReorderHandlers(context, th, column) {
+    if (!context.columnReorder || column.reorderable === false) return;
+
+    th.draggable = true;
+
+    th.addEventListener("dragstart", (event) => {
+        // Dragging the resize handle resizes, it doesn't move the column
+        if (event.target.closest?.("[data-resize-handle]")) {
+            event.preventDefault();
+            return;
+        }
+        context._draggedColumn = column.name;
+        event.dataTransfer.effectAllowed = "move";
+        event.dataTransfer.setData("text/plain", column.name);
+        th.classList.add(...toClasses(context.theme.reorderDragging));
+    });
+
+    th.addEventListener("dragend", () => {
+        context._draggedColumn = null;
+        th.classList.remove(...toClasses(context.theme.reorderDragging));
+        context.table
+            ?.querySelectorAll("thead th[data-column-name]")
+            .forEach((cell) => clearDropIndicator(context, cell));
+    });
+
+    // Drop position: before or after this column, by pointer position
+    const getTarget = (event) => {
+        const dragged = context._draggedColumn;
+        if (!dragged || dragged === column.name) return null;
+
+        const rect = th.getBoundingClientRect();
+        const after = event.clientX > rect.left + rect.width / 2;
+
+        const order = getColumnOrder(context).filter(
+            (name) => name !== dragged
+        );
+        const index = order.indexOf(column.name) + (after ? 1 : 0);
+        order.splice(index, 0, dragged);
+        return keepsGroupsTogether(context, order) ? { after, index } : null;
+    };
+
+    th.addEventListener("dragover", (event) => {
+        const target = getTarget(event);
+        clearDropIndicator(context, th);
+        if (!target) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "move";
+        th.classList.add(
+            ...toClasses(
+                target.after
+                    ? context.theme.reorderTargetAfter
+                    : context.theme.reorderTargetBefore
+            )
+        );
+    });
+
+    th.addEventListener("dragleave", () => clearDropIndicator(context, th));
+
+    th.addEventListener("drop", (event) => {
+        const target = getTarget(event);
+        clearDropIndicator(context, th);
+        if (!target) return;
+
+        event.preventDefault();
+        moveColumn(context, context._draggedColumn, target.index, "drag");
+    });
+}
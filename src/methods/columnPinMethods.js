@@ -0,0 +1,263 @@
+/**
+ * Column Pin Methods
+ * Internal methods for pinned (frozen) left/right columns (not public API)
+ *
+ * Pinned columns are moved to their edge of the table and made sticky.
+ * Offsets come from the measured header widths, so several pinned columns
+ * stack next to each other. Every row is walked by colSpan, which covers
+ * group header rows, the filter row, body rows and the footer alike; a
+ * cell is pinned when all the columns it spans are pinned to the same side.
+ */
+
+const PIN_SIDES = ["left", "right"];
+
+/**
+ * Build the initial pin state from `column.pinned`
+ * @param {Array} columns - Columns configuration
+ * @returns {Object} Column name -> "left" | "right"
+ */
+export function createColumnPinState(columns) {
+    const state = {};
+    columns.forEach((column) => {
+        if (PIN_SIDES.includes(column.pinned)) {
+            state[column.name] = column.pinned;
+        }
+    });
+    return state;
+}
+
+/**
+ * Get the side a column is pinned to
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @returns {string|null} "left", "right" or null
+ */
+export function getPinSide(context, columnName) {
+    const side = context.columnPinState?.[columnName];
+    return PIN_SIDES.includes(side) ? side : null;
+}
+
+/**
+ * Order the columns: left pinned, unpinned, right pinned
+ * The column order (configured, or set by the user, see
+ * columnOrderMethods.js) is kept within each part, so unpinning a column
+ * puts it back where it was.
+ * @param {Object} context - DataTable instance
+ */
+export function applyColumnPinOrder(context) {
+    if (!context._columnOrder) {
+        context._columnOrder = context.columns.map((column) => column.name);
+    }
+
+    const position = new Map(
+        context._columnOrder.map((name, index) => [name, index])
+    );
+    const rank = (column) => {
+        const side = getPinSide(context, column.name);
+        return side === "left" ? 0 : side === "right" ? 2 : 1;
+    };
+
+    context.columns = [...context.columns].sort(
+        (a, b) =>
+            rank(a) - rank(b) ||
+            (position.get(a.name) ?? Infinity) -
+                (position.get(b.name) ?? Infinity)
+    );
+}
+
+/**
+ * Pin a column to the left or right edge, or unpin it
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @param {string|null|false} side - "left", "right", or null to unpin
+ * @returns {boolean} True if the pin state changed
+ */
+export function pinColumn(context, columnName, side) {
+    if (!context.columns.some((column) => column.name === columnName)) {
+        console.warn(`Column "${columnName}" not found`);
+        return false;
+    }
+    if (side && !PIN_SIDES.includes(side)) {
+        console.warn(`Pin side must be "left", "right" or null`);
+        return false;
+    }
+    if (getPinSide(context, columnName) === (side || null)) return false;
+
+    if (side) context.columnPinState[columnName] = side;
+    else delete context.columnPinState[columnName];
+
+    applyColumnPinOrder(context);
+
+    if (context.enableSaveState && context.saveState) {
+        context.saveState();
+    }
+
+    context.renderTableHeader();
+    if (context.data?.length) context.renderTable(context.data);
+    return true;
+}
+
+/**
+ * Measure the sticky offset of every visible column
+ * @param {Object} context - DataTable instance
+ * @param {Array} columns - Visible columns
+ * @returns {Array<Object|null>} { side, offset, edge } per column
+ * @private
+ */
+function getPinOffsets(context, columns) {
+    const widths = columns.map((column) => {
+        const th = context.table.querySelector(
+            `thead th[data-column-name="${CSS.escape(column.name)}"]`
+        );
+        return th ? th.getBoundingClientRect().width : 0;
+    });
+    const sides = columns.map((column) => getPinSide(context, column.name));
+    const pins = sides.map(() => null);
+
+    let left = 0;
+    sides.forEach((side, index) => {
+        if (side !== "left") return;
+        pins[index] = {
+            side: "left",
+            offset: left,
+            edge: sides[index + 1] !== "left",
+        };
+        left += widths[index];
+    });
+
+    let right = 0;
+    for (let index = sides.length - 1; index >= 0; index--) {
+        if (sides[index] !== "right") continue;
+        pins[index] = {
+            side: "right",
+            offset: right,
+            edge: sides[index - 1] !== "right",
+        };
+        right += widths[index];
+    }
+
+    return pins;
+}
+
+/**
+ * Split a theme value into class names
+ * @param {string} [value] - Theme value
+ * @returns {Array<string>} Class names
+ * @private
+ */
+function toClasses(value) {
+    return (value || "").split(" ").filter(Boolean);
+}
+
+/**
+ * Make a cell sticky, or undo it
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableCellElement} cell - Cell element
+ * @param {Object|null} pin - { side, offset, edge } or null to unpin
+ * @param {boolean} isHeader - Cell is in the <thead>
+ * @private
+ */
+function applyCellPin(context, cell, pin, isHeader) {
+    const theme = context.theme;
+    const classes = [
+        ...toClasses(isHeader ? theme.pinnedHeaderCell : theme.pinnedCell),
+        ...toClasses(theme.pinnedEdgeLeft),
+        ...toClasses(theme.pinnedEdgeRight),
+    ];
+
+    if (!pin) {
+        if (!cell.dataset.pinned) return;
+        delete cell.dataset.pinned;
+        cell.style.position = "";
+        cell.style.left = "";
+        cell.style.right = "";
+        cell.style.zIndex = "";
+        if (classes.length) cell.classList.remove(...classes);
+        return;
+    }
+
+    cell.dataset.pinned = pin.side;
+    cell.style.position = "sticky";
+    cell.style.left = pin.side === "left" ? `${pin.offset}px` : "";
+    cell.style.right = pin.side === "right" ? `${pin.offset}px` : "";
+    // Above scrolling cells; header cells also above pinned body cells
+    cell.style.zIndex = isHeader ? "3" : "1";
+
+    if (classes.length) cell.classList.remove(...classes);
+    const pinned = [
+        ...toClasses(isHeader ? theme.pinnedHeaderCell : theme.pinnedCell),
+        ...(pin.edge
+            ? toClasses(
+                  pin.side === "left"
+                      ? theme.pinnedEdgeLeft
+                      : theme.pinnedEdgeRight
+              )
+            : []),
+    ];
+    if (pinned.length) cell.classList.add(...pinned);
+}
+
+/**
+ * Apply sticky positioning to the cells of pinned columns
+ * Called after the header or rows were rendered and when the table is
+ * resized (column widths change with the content).
+ * @param {Object} context - DataTable instance
+ */
+export function syncPinnedColumns(context) {
+    const table = context.table;
+    if (!table) return;
+
+    // Cards have no columns to pin
+    const hasPins =
+        !context._cardView &&
+        Object.keys(context.columnPinState || {}).length > 0;
+    if (!hasPins && !context._hasPinnedCells) return;
+    context._hasPinnedCells = hasPins;
+    if (hasPins) observeTableSize(context);
+
+    const columns = context.columns.filter((column) =>
+        context.isColumnVisible(column.name)
+    );
+    const pins = getPinOffsets(context, columns);
+
+    Array.from(table.rows).forEach((tr) => {
+        const isHeader = tr.parentElement?.tagName === "THEAD";
+        let index = 0;
+        Array.from(tr.cells).forEach((cell) => {
+            const span = cell.colSpan || 1;
+            const first = pins[index];
+            const last = pins[index + span - 1];
+            const covered = pins.slice(index, index + span);
+            const samePin =
+                first &&
+                covered.every((pin) => pin && pin.side === first.side);
+
+            let pin = null;
+            if (samePin) {
+                // Spanning cells: outer column's offset, inner column's edge
+                pin =
+                    first.side === "left"
+                        ? { ...first, edge: last.edge }
+                        : { ...last, edge: first.edge };
+            }
+            applyCellPin(context, cell, pin, isHeader);
+            index += span;
+        });
+    });
+}
+
+/**
+ * Recompute the offsets when the table changes size
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function observeTableSize(context) {
+    if (context._pinObserver || typeof ResizeObserver === "undefined") return;
+
+    let frame = null;
+    context._pinObserver = new ResizeObserver(() => {
+        cancelAnimationFrame(frame);
+        frame = requestAnimationFrame(() => syncPinnedColumns(context));
+    });
+    context._pinObserver.observe(context.table);
+}
@@ -0,0 +1,317 @@
+/**
+ * Column Resize Methods
+ * Internal methods for resizable columns (not public API)
+ *
+ * Once a column has a width, the table switches to a fixed layout driven
+ * by a <colgroup>: resized columns use their stored width, the others keep
+ * the width they had in the automatic layout. Widths live in
+ * `columnWidthState` ({ columnName: px }) and are saved with the state.
+ */
+
+import { syncPinnedColumns } from "./columnPinMethods.js";
+
+/**
+ * Normalize the `columnResize` option
+ * @param {boolean|Object|null} columnResize - true or { minWidth, maxWidth }
+ * @returns {Object|null} Normalized config or null when disabled
+ */
+export function normalizeColumnResizeConfig(columnResize) {
+    if (!columnResize) return null;
+
+    const options = typeof columnResize === "object" ? columnResize : {};
+    return {
+        minWidth: options.minWidth ?? 40, // px, column.minWidth wins
+        maxWidth: options.maxWidth ?? Infinity, // px, column.maxWidth wins
+    };
+}
+
+/**
+ * Keep a width within the column's min/max
+ * @param {Object} context - DataTable instance
+ * @param {Object} column - Column config
+ * @param {number} width - Width in px
+ * @returns {number} Clamped width
+ * @private
+ */
+function clampWidth(context, column, width) {
+    const min = column.minWidth ?? context.columnResize?.minWidth ?? 40;
+    const max = column.maxWidth ?? context.columnResize?.maxWidth ?? Infinity;
+    return Math.round(Math.min(Math.max(width, min), max));
+}
+
+/**
+ * Find the header cell of a column
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @returns {HTMLTableCellElement|null} Header cell
+ * @private
+ */
+function findHeaderCell(context, columnName) {
+    return context.table?.querySelector(
+        `thead th[data-column-name="${CSS.escape(columnName)}"]`
+    );
+}
+
+/**
+ * Apply the stored widths through a <colgroup>
+ * Columns without a stored width are measured in the automatic layout
+ * first, so they don't change size when the layout becomes fixed.
+ * @param {Object} context - DataTable instance
+ */
+export function syncColumnWidths(context) {
+    const table = context.table;
+    if (!table) return;
+
+    const widths = context.columnWidthState || {};
+    const previous = table.querySelector("colgroup[data-column-widths]");
+    if (previous) {
+        // Back to the automatic layout (also to measure the other columns)
+        previous.remove();
+        table.style.tableLayout = "";
+        table.style.width = "";
+    }
+    // Cards don't use column widths
+    if (!Object.keys(widths).length || context._cardView) return;
+
+    const columns = context.columns.filter((column) =>
+        context.isColumnVisible(column.name)
+    );
+    const sizes = columns.map((column) =>
+        widths[column.name] !== undefined
+            ? clampWidth(context, column, widths[column.name])
+            : findHeaderCell(context, column.name)?.getBoundingClientRect()
+                  .width || 0
+    );
+
+    const colgroup = document.createElement("colgroup");
+    colgroup.dataset.columnWidths = "true";
+    columns.forEach((column, index) => {
+        const col = document.createElement("col");
+        col.dataset.column = column.name;
+        col.style.width = `${sizes[index]}px`;
+        colgroup.appendChild(col);
+    });
+
+    table.insertBefore(colgroup, table.tHead || table.firstChild);
+    table.style.tableLayout = "fixed";
+    table.style.width = `${sizes.reduce((sum, size) => sum + size, 0)}px`;
+}
+
+/**
+ * Resize one column in place (used while dragging)
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @param {number} width - New width in px
+ * @private
+ */
+function applyColumnWidth(context, columnName, width) {
+    const table = context.table;
+    const name = CSS.escape(columnName);
+    const col = table?.querySelector(
+        `colgroup[data-column-widths] col[data-column="${name}"]`
+    );
+    if (!col) {
+        syncColumnWidths(context);
+        return;
+    }
+
+    // The table grows or shrinks with the column, the others keep their size
+    const delta = width - (parseFloat(col.style.width) || 0);
+    col.style.width = `${width}px`;
+    table.style.width = `${(parseFloat(table.style.width) || 0) + delta}px`;
+}
+
+/**
+ * Dispatch the column resize event and save the state
+ * @param {Object} context - DataTable instance
+ * @param {Object} column - Column config
+ * @param {number|null} width - New width (null when reset)
+ * @param {number} previousWidth - Width before the change
+ * @param {string} source - "drag", "autofit" or "api"
+ * @private
+ */
+function emitColumnResize(context, column, width, previousWidth, source) {
+    if (context.enableSaveState && context.saveState) {
+        context.saveState();
+    }
+
+    context.table?.dispatchEvent(
+        new CustomEvent("datatable:column-resize", {
+            detail: { column: column.name, width, previousWidth, source },
+            bubbles: true,
+        })
+    );
+}
+
+/**
+ * Set a column's width
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @param {number|null} width - Width in px, or null to go back to auto
+ * @param {string} [source="api"] - What caused the change (event detail)
+ * @returns {number|null} Applied width
+ */
+export function setColumnWidth(context, columnName, width, source = "api") {
+    const column = context.columns.find((col) => col.name === columnName);
+    if (!column) {
+        console.warn(`Column "${columnName}" not found`);
+        return null;
+    }
+
+    const previousWidth =
+        findHeaderCell(context, columnName)?.getBoundingClientRect().width ||
+        0;
+
+    if (width === null || width === undefined) {
+        delete context.columnWidthState[columnName];
+    } else {
+        context.columnWidthState[columnName] = clampWidth(
+            context,
+            column,
+            Number(width)
+        );
+    }
+
+    syncColumnWidths(context);
+    syncPinnedColumns(context);
+
+    const applied = context.columnWidthState[columnName] ?? null;
+    emitColumnResize(context, column, applied, previousWidth, source);
+    return applied;
+}
+
+/**
+ * Clear all stored widths
+ * @param {Object} context - DataTable instance
+ */
+export function resetColumnWidths(context) {
+    context.columnWidthState = {};
+    syncColumnWidths(context);
+    syncPinnedColumns(context);
+    if (context.enableSaveState && context.saveState) {
+        context.saveState();
+    }
+}
+
+/**
+ * Measure the widest content of a column (header included)
+ * Cells are measured without wrapping.
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @returns {number} Width in px
+ * @private
+ */
+function measureContentWidth(context, columnName) {
+    const name = CSS.escape(columnName);
+    const cells = context.table.querySelectorAll(
+        `thead th[data-column-name="${name}"], tbody td[data-column="${name}"]`
+    );
+    const range = document.createRange();
+
+    let width = 0;
+    cells.forEach((cell) => {
+        const whiteSpace = cell.style.whiteSpace;
+        cell.style.whiteSpace = "nowrap";
+        // The handle spans the whole header cell
+        const handle = cell.querySelector("[data-resize-handle]");
+        if (handle) handle.hidden = true;
+
+        const style = getComputedStyle(cell);
+        range.selectNodeContents(cell);
+        const content =
+            range.getBoundingClientRect().width +
+            parseFloat(style.paddingLeft) +
+            parseFloat(style.paddingRight) +
+            parseFloat(style.borderLeftWidth) +
+            parseFloat(style.borderRightWidth);
+        width = Math.max(width, content);
+
+        cell.style.whiteSpace = whiteSpace;
+        if (handle) handle.hidden = false;
+    });
+
+    return Math.ceil(width);
+}
+
+/**
+ * Fit a column to its content
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @returns {number|null} Applied width
+ */
+export function autoFitColumn(context, columnName) {
+    return setColumnWidth(
+        context,
+        columnName,
+        measureContentWidth(context, columnName),
+        "autofit"
+    );
+}
+
+/**
+ * Add the drag handle to a header cell
+ * Dragging resizes the column, double-clicking fits it to its content.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableCellElement} th - Header cell
+ * @param {Object} column - Column config
+ */
+export function addResizeHandle(context, th, column) {
+    if (!context.columnResize || column.resizable === false) return;
+
+    const handle = document.createElement("span");
+    handle.className = context.theme.resizeHandle || "";
+    handle.dataset.resizeHandle = "true";
+    handle.setAttribute("aria-hidden", "true");
+    handle.style.cssText =
+        "position: absolute; top: 0; right: 0; width: 6px; height: 100%; cursor: col-resize; touch-action: none;";
+
+    // Sticky (pinned) headers are positioned already
+    if (!th.style.position) th.style.position = "relative";
+
+    handle.addEventListener("pointerdown", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const startX = event.clientX;
+        const startWidth = th.getBoundingClientRect().width;
+        let width = null;
+        const userSelect = document.body.style.userSelect;
+        document.body.style.userSelect = "none";
+        handle.setPointerCapture?.(event.pointerId);
+
+        const onMove = (moveEvent) => {
+            width = clampWidth(
+                context,
+                column,
+                startWidth + moveEvent.clientX - startX
+            );
+            context.columnWidthState[column.name] = width;
+            applyColumnWidth(context, column.name, width);
+        };
+
+        const onUp = () => {
+            handle.removeEventListener("pointermove", onMove);
+            handle.removeEventListener("pointerup", onUp);
+            handle.removeEventListener("pointercancel", onUp);
+            document.body.style.userSelect = userSelect;
+
+            // A click without moving doesn't resize
+            if (width === null) return;
+            syncPinnedColumns(context);
+            emitColumnResize(context, column, width, startWidth, "drag");
+        };
+
+        handle.addEventListener("pointermove", onMove);
+        handle.addEventListener("pointerup", onUp);
+        handle.addEventListener("pointercancel", onUp);
+    });
+
+    // Don't sort when the handle is clicked
+    handle.addEventListener("click", (event) => event.stopPropagation());
+    handle.addEventListener("dblclick", (event) => {
+        event.stopPropagation();
+        autoFitColumn(context, column.name);
+    });
+
+    th.appendChild(handle);
+}
@@ -0,0 +1,563 @@
+/**
+ * Conditional Format Methods
+ * Internal methods for the `conditionalFormatting` rules (not public API)
+ *
+ * Cell effects (`cellClass`, `icon`, `colorScale`, `dataBar`) are applied
+ * by renderCell(), so they follow every render path (patches, infinite
+ * scroll, virtual rows, cards). `rowClass` is resolved together with the
+ * theme's rowClass and tracked the same way, so it is removed again when
+ * a row stops matching.
+ *
+ * Color scales and data bars run from the column's min to max on the
+ * current page unless the rule gives `min` / `max`.
+ */
+
+const OPERATORS = {
+    ">": (value, target) => compare(value, target) > 0,
+    ">=": (value, target) => compare(value, target) >= 0,
+    "<": (value, target) => compare(value, target) < 0,
+    "<=": (value, target) => compare(value, target) <= 0,
+    "==": (value, target) => compare(value, target) === 0,
+    "!=": (value, target) => compare(value, target) !== 0,
+    between: (value, [min, max] = []) =>
+        compare(value, min) >= 0 && compare(value, max) <= 0,
+    contains: (value, target) =>
+        String(value ?? "")
+            .toLowerCase()
+            .includes(String(target ?? "").toLowerCase()),
+    empty: (value) => isEmpty(value),
+    notEmpty: (value) => !isEmpty(value),
+};
+
+const EXCEL_OPERATORS = {
+    ">": "greaterThan",
+    ">=": "greaterThanOrEqual",
+    "<": "lessThan",
+    "<=": "lessThanOrEqual",
+    "==": "equal",
+    "!=": "notEqual",
+    between: "between",
+};
+
+const DEFAULT_SCALE_COLORS = ["#f8696b", "#ffeb84", "#63be7b"];
+const DEFAULT_BAR_COLOR = "#638ec6";
+
+/**
+ * Check whether a value is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} True for null, undefined and ""
+ * @private
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === "";
+}
+
+/**
+ * Turn a value into a finite number
+ * @param {*} value - Cell value
+ * @returns {number|null} Number, or null if the value isn't numeric
+ * @private
+ */
+function toNumber(value) {
+    if (isEmpty(value) || typeof value === "boolean") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Compare two values, as numbers when both are numeric
+ * Other values are compared as strings, which also orders ISO dates.
+ * @param {*} a - Cell value
+ * @param {*} b - Rule value
+ * @returns {number} Negative, 0 or positive
+ * @private
+ */
+function compare(a, b) {
+    const x = toNumber(a);
+    const y = toNumber(b);
+    if (x !== null && y !== null) return x - y;
+
+    const left = String(a ?? "");
+    const right = String(b ?? "");
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+}
+
+/**
+ * Split a class value into class names
+ * @param {string} [value] - Class names
+ * @returns {Array<string>} Class names
+ * @private
+ */
+function toClasses(value) {
+    return (value || "").split(" ").filter(Boolean);
+}
+
+/**
+ * Normalize the `conditionalFormatting` option
+ * Rules with cell effects need a `column`; invalid rules are dropped with
+ * a warning.
+ * @param {Array<Object>|null} rules - [{ column, when, cellClass, rowClass,
+ *   icon, colorScale, dataBar, excelStyle }]
+ * @returns {Array<Object>|null} Normalized rules or null when disabled
+ */
+export function normalizeConditionalFormatting(rules) {
+    if (!Array.isArray(rules) || !rules.length) return null;
+
+    const normalized = rules
+        .filter((rule, index) => {
+            if (!rule || typeof rule !== "object") {
+                console.warn(`conditionalFormatting[${index}] is not a rule`);
+                return false;
+            }
+            const when = rule.when;
+            if (when && typeof when === "object" && !OPERATORS[when.op]) {
+                console.warn(
+                    `conditionalFormatting[${index}]: unknown operator "${when.op}"`
+                );
+                return false;
+            }
+            const hasCellEffect =
+                rule.cellClass || rule.icon || rule.colorScale || rule.dataBar;
+            if (hasCellEffect && !rule.column) {
+                console.warn(`conditionalFormatting[${index}] needs a column`);
+                return false;
+            }
+            return true;
+        })
+        .map((rule) => ({
+            ...rule,
+            colorScale: rule.colorScale
+                ? {
+                      colors: DEFAULT_SCALE_COLORS,
+                      ...(typeof rule.colorScale === "object"
+                          ? rule.colorScale
+                          : {}),
+                  }
+                : null,
+            dataBar: rule.dataBar
+                ? {
+                      color: DEFAULT_BAR_COLOR,
+                      ...(typeof rule.dataBar === "object" ? rule.dataBar : {}),
+                  }
+                : null,
+        }));
+
+    return normalized.length ? normalized : null;
+}
+
+/**
+ * Check whether a rule applies to a value
+ * @param {Object} rule - Normalized rule
+ * @param {*} value - Cell value (undefined for row rules without a column)
+ * @param {Object} row - Row data
+ * @returns {boolean} True if the rule matches (always, without `when`)
+ * @private
+ */
+function matches(rule, value, row) {
+    const when = rule.when;
+    if (!when) return true;
+    if (typeof when === "function") return Boolean(when(value, row));
+    return OPERATORS[when.op](value, when.value);
+}
+
+/**
+ * Get the classes conditional rules add to a row
+ * @param {Object} context - DataTable instance
+ * @param {Object} row - Row data
+ * @returns {Array<string>} Class names
+ */
+export function getConditionalRowClasses(context, row) {
+    if (!context.conditionalFormatting) return [];
+
+    return context.conditionalFormatting.flatMap((rule) => {
+        if (!rule.rowClass) return [];
+        const value = rule.column ? row[rule.column] : undefined;
+        return matches(rule, value, row) ? toClasses(rule.rowClass) : [];
+    });
+}
+
+/**
+ * Get the numeric range of a column on the current page
+ * Cached per data array, recalculated when it's replaced or resized.
+ * @param {Object} context - DataTable instance
+ * @param {string} columnName - Column name
+ * @returns {{min: number, max: number}|null} Range, null without numbers
+ * @private
+ */
+function getColumnRange(context, columnName) {
+    const data = context.data || [];
+    const cache = context._conditionalRanges;
+    if (!cache || cache.data !== data || cache.length !== data.length) {
+        context._conditionalRanges = {
+            data,
+            length: data.length,
+            ranges: new Map(),
+        };
+    }
+
+    const ranges = context._conditionalRanges.ranges;
+    if (!ranges.has(columnName)) {
+        // No spread into Math.min/max, virtual scroll data can be large
+        const range = data.reduce((result, row) => {
+            const number = toNumber(row[columnName]);
+            if (number === null) return result;
+            return {
+                min: Math.min(result?.min ?? number, number),
+                max: Math.max(result?.max ?? number, number),
+            };
+        }, null);
+        ranges.set(columnName, range);
+    }
+    return ranges.get(columnName);
+}
+
+/**
+ * Get where a value sits between the rule's (or the column's) min and max
+ * @param {Object} context - DataTable instance
+ * @param {Object} options - Color scale or data bar options
+ * @param {string} columnName - Column name
+ * @param {number} value - Numeric cell value
+ * @returns {number|null} 0 to 1, null if there is no range
+ * @private
+ */
+function getRatio(context, options, columnName, value) {
+    const range = getColumnRange(context, columnName);
+    const min = toNumber(options.min) ?? range?.min;
+    const max = toNumber(options.max) ?? range?.max;
+    if (min === undefined || max === undefined) return null;
+    if (max === min) return 1;
+    return Math.min(1, Math.max(0, (value - min) / (max - min)));
+}
+
+/**
+ * Parse a hex color
+ * @param {string} color - "#rgb" or "#rrggbb"
+ * @returns {Array<number>|null} [r, g, b], null if it isn't a hex color
+ * @private
+ */
+function parseHexColor(color) {
+    const match = /^#?([\da-f]{3}|[\da-f]{6})$/i.exec(String(color).trim());
+    if (!match) return null;
+
+    const hex =
+        match[1].length === 3
+            ? [...match[1]].map((digit) => digit + digit).join("")
+            : match[1];
+    return [0, 2, 4].map((offset) =>
+        parseInt(hex.slice(offset, offset + 2), 16)
+    );
+}
+
+/**
+ * Pick the color for a position on a color scale
+ * @param {Array<string>} colors - Hex colors, evenly spaced from min to max
+ * @param {number} ratio - 0 to 1
+ * @returns {string|null} CSS color, null if a color isn't hex
+ * @private
+ */
+function interpolateColor(colors, ratio) {
+    const stops = colors.map(parseHexColor);
+    if (stops.length < 2 || stops.some((stop) => !stop)) return null;
+
+    const position = ratio * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const local = position - index;
+    const [r, g, b] = stops[index].map((channel, i) =>
+        Math.round(channel + (stops[index + 1][i] - channel) * local)
+    );
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * Create the element for a rule's icon
+ * @param {Object} context - DataTable instance
+ * @param {Object} rule - Normalized rule
+ * @param {*} value - Cell value
+ * @param {Object} row - Row data
+ * @returns {HTMLElement|null} Icon element
+ * @private
+ */
+function createIcon(context, rule, value, row) {
+    const icon =
+        typeof rule.icon === "function" ? rule.icon(value, row) : rule.icon;
+    if (isEmpty(icon)) return null;
+
+    const span = document.createElement("span");
+    span.className = context.theme.conditionalIcon || "";
+    span.dataset.conditionalIcon = "true";
+    span.setAttribute("aria-hidden", "true");
+    if (icon instanceof Node) span.appendChild(icon);
+    else span.textContent = String(icon);
+    return span;
+}
+
+/**
+ * Apply the matching rules of a column to a rendered cell
+ * Effects of an earlier call are removed first, so it can be called again
+ * after the value changed (inline editing).
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} td - Rendered cell (or card value)
+ * @param {Object} row - Row data
+ * @param {Object} column - Column config
+ */
+export function applyCellFormatting(context, td, row, column) {
+    const previous = toClasses(td.dataset.conditionalClass);
+    if (previous.length) td.classList.remove(...previous);
+    delete td.dataset.conditionalClass;
+    if (td.dataset.conditionalStyle) {
+        td.style.backgroundColor = "";
+        td.style.backgroundImage = "";
+        delete td.dataset.conditionalStyle;
+    }
+    td.querySelectorAll(":scope > [data-conditional-icon]").forEach((icon) =>
+        icon.remove()
+    );
+
+    const rules = (context.conditionalFormatting || []).filter(
+        (rule) => rule.column === column.name
+    );
+    if (!rules.length) return;
+
+    const value = row[column.name];
+    const number = toNumber(value);
+    const classes = [];
+    const icons = [];
+
+    rules.forEach((rule) => {
+        if (!matches(rule, value, row)) return;
+
+        if (rule.cellClass) classes.push(...toClasses(rule.cellClass));
+
+        const icon = rule.icon && createIcon(context, rule, value, row);
+        if (icon) icons.push(icon);
+
+        if (number === null) return;
+
+        if (rule.colorScale) {
+            const { colors } = rule.colorScale;
+            const ratio = getRatio(
+                context,
+                rule.colorScale,
+                column.name,
+                number
+            );
+            const color = ratio === null ? null : interpolateColor(colors, ratio);
+            if (color) {
+                td.style.backgroundColor = color;
+                td.dataset.conditionalStyle = "true";
+            }
+        }
+
+        if (rule.dataBar) {
+            const ratio = getRatio(context, rule.dataBar, column.name, number);
+            if (ratio !== null) {
+                const width = `${Math.round(ratio * 100)}%`;
+                td.style.backgroundImage = `linear-gradient(to right, ${rule.dataBar.color} ${width}, transparent ${width})`;
+                td.dataset.conditionalStyle = "true";
+            }
+        }
+    });
+
+    if (classes.length) {
+        td.classList.add(...classes);
+        td.dataset.conditionalClass = classes.join(" ");
+    }
+    // Icons go in front of the value, in rule order
+    td.prepend(...icons);
+}
+
+/**
+ * Convert a hex color to ExcelJS ARGB
+ * @param {string} color - Hex color
+ * @returns {string|null} "FFRRGGBB", null if it isn't a hex color
+ * @private
+ */
+function toArgb(color) {
+    const rgb = parseHexColor(color);
+    if (!rgb) return null;
+    return (
+        "FF" +
+        rgb
+            .map((channel) => channel.toString(16).padStart(2, "0"))
+            .join("")
+            .toUpperCase()
+    );
+}
+
+/**
+ * Get the Excel column letter for a column index
+ * @param {number} index - 0-based column index
+ * @returns {string} Column letter(s), e.g. "A", "AB"
+ * @private
+ */
+function columnLetter(index) {
+    let letter = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Get a cfvo (scale end point) for an Excel color scale or data bar
+ * @param {*} value - Fixed value from the rule, if any
+ * @param {string} fallback - "min" or "max"
+ * @returns {Object} ExcelJS cfvo
+ * @private
+ */
+function toCfvo(value, fallback) {
+    const number = toNumber(value);
+    return number === null ? { type: fallback } : { type: "num", value: number };
+}
+
+/**
+ * Build the Excel rule for a `when` condition
+ * Cell rules compare the cell itself, row rules use a formula with the
+ * column anchored (e.g. "$C2") so every cell of the row checks it.
+ * @param {Object} when - { op, value }
+ * @param {string} cell - Top-left cell of the condition's column
+ * @param {Object} style - ExcelJS style
+ * @param {boolean} rowRule - True when the rule styles whole rows
+ * @returns {Object|null} ExcelJS rule, null if it can't be expressed
+ * @private
+ */
+function toExcelRule(when, cell, style, rowRule) {
+    const quote = (value) =>
+        toNumber(value) !== null
+            ? String(toNumber(value))
+            : `"${String(value ?? "").replace(/"/g, '""')}"`;
+
+    if (EXCEL_OPERATORS[when.op] && !rowRule) {
+        const values = when.op === "between" ? when.value || [] : [when.value];
+        return {
+            type: "cellIs",
+            operator: EXCEL_OPERATORS[when.op],
+            formulae: values.map(quote),
+            style,
+        };
+    }
+
+    const formulae = {
+        ">": `${cell}>${quote(when.value)}`,
+        ">=": `${cell}>=${quote(when.value)}`,
+        "<": `${cell}<${quote(when.value)}`,
+        "<=": `${cell}<=${quote(when.value)}`,
+        "==": `${cell}=${quote(when.value)}`,
+        "!=": `${cell}<>${quote(when.value)}`,
+        between: `AND(${cell}>=${quote(when.value?.[0])},${cell}<=${quote(
+            when.value?.[1]
+        )})`,
+        contains: `ISNUMBER(SEARCH(${quote(String(when.value ?? ""))},${cell}))`,
+        empty: `LEN(${cell})=0`,
+        notEmpty: `LEN(${cell})>0`,
+    };
+    return formulae[when.op]
+        ? { type: "expression", formulae: [formulae[when.op]], style }
+        : null;
+}
+
+/**
+ * Carry the rules into an Excel worksheet as native conditional formats
+ * Color scales and data bars need hex colors and are only exported without
+ * a `when` (Excel would apply them to every cell), `when` conditions need
+ * an `excelStyle` (ExcelJS style) and can't be functions. Rules that can't
+ * be expressed are skipped. Excel compares the exported values, so numeric
+ * rules on formatted columns need `exportable.formatValues` off for Excel.
+ * Only the data rows are covered: group header and totals rows don't
+ * count towards scales and bars, and conditions don't style them.
+ * @param {Object} context - Export context with `conditionalFormatting`
+ * @param {Object} worksheet - ExcelJS worksheet
+ * @param {Array<Object>} columns - Exported columns, in order
+ * @param {Array<Array<number>>} rowRanges - [first, last] runs of data rows
+ *   (1-based), in order
+ */
+export function addExcelConditionalFormats(
+    context,
+    worksheet,
+    columns,
+    rowRanges
+) {
+    const rules = context.conditionalFormatting;
+    if (!rules || !rowRanges.length) return;
+
+    // One area per run of data rows; relative formulas follow the first
+    const toRef = (from, to) =>
+        rowRanges
+            .map(([first, last]) => `${from}${first}:${to}${last}`)
+            .join(" ");
+    const firstRow = rowRanges[0][0];
+    const rowRange = toRef("A", columnLetter(columns.length - 1));
+
+    rules.forEach((rule) => {
+        const index = columns.findIndex((col) => col.name === rule.column);
+        const letter = index === -1 ? null : columnLetter(index);
+        const cellRange = letter && toRef(letter, letter);
+        // Scales and bars only on the cells that match, as in the grid
+        const scaleRange = rule.when ? null : cellRange;
+        const excelRules = [];
+
+        if (scaleRange && rule.colorScale) {
+            const colors = rule.colorScale.colors.map(toArgb);
+            if (colors.length >= 2 && colors.every(Boolean)) {
+                const min = toNumber(rule.colorScale.min);
+                const max = toNumber(rule.colorScale.max);
+                // Stops evenly spaced by value, like interpolateColor()
+                const cfvo = colors.map((color, i) => {
+                    if (i === 0) return toCfvo(min, "min");
+                    if (i === colors.length - 1) return toCfvo(max, "max");
+
+                    const ratio = i / (colors.length - 1);
+                    if (min !== null && max !== null) {
+                        return { type: "num", value: min + (max - min) * ratio };
+                    }
+                    return { type: "percent", value: Math.round(ratio * 100) };
+                });
+                excelRules.push({
+                    type: "colorScale",
+                    cfvo,
+                    color: colors.map((argb) => ({ argb })),
+                });
+            }
+        }
+
+        if (scaleRange && rule.dataBar) {
+            const argb = toArgb(rule.dataBar.color);
+            if (argb) {
+                excelRules.push({
+                    type: "dataBar",
+                    cfvo: [
+                        toCfvo(rule.dataBar.min, "min"),
+                        toCfvo(rule.dataBar.max, "max"),
+                    ],
+                    color: { argb },
+                    gradient: false,
+                });
+            }
+        }
+
+        if (excelRules.length) {
+            worksheet.addConditionalFormatting({
+                ref: scaleRange,
+                rules: excelRules,
+            });
+        }
+
+        // Conditions need a style and a column Excel can check
+        const when = rule.when;
+        if (!rule.excelStyle || !letter || typeof when === "function") return;
+
+        // A row rule styles the whole row, everything else the cell
+        const rowRule = Boolean(rule.rowClass && !rule.cellClass);
+        const cell = `${rowRule ? "$" : ""}${letter}${firstRow}`;
+        const excelRule = when
+            ? toExcelRule(when, cell, rule.excelStyle, rowRule)
+            : { type: "expression", formulae: ["TRUE"], style: rule.excelStyle };
+        if (!excelRule) return;
+
+        worksheet.addConditionalFormatting({
+            ref: rowRule ? rowRange : cellRange,
+            rules: [excelRule],
+        });
+    });
+}
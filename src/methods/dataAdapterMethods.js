@@ -0,0 +1,394 @@
+/**
+ * Data Adapter Methods
+ * Internal methods for the data transport layer (not public API)
+ *
+ * Every data request - the grid itself, export chunks and export record
+ * counts - goes through a single adapter:
+ *
+ *   dataAdapter: {
+ *       load(query, signal) → Promise<{ rows, total, page, lastPage }>
+ *   }
+ *
+ * The default HTTP adapter talks to `url` (see dataMapperMethods.js for
+ * the request/response mapping), the local adapter serves the
+ * in-memory dataset of client-side mode, and users can plug in their own
+ * (axios, GraphQL, IndexedDB, a mock...).
+ */
+
+import { queryRows } from "./clientDataMethods.js";
+import { queryTreeRows } from "./treeDataMethods.js";
+import { computeGroups } from "./rowGroupMethods.js";
+import { hasFooter, computeFooterValues } from "./footerMethods.js";
+import { REQUEST_MAPPERS } from "./dataMapperMethods.js";
+
+// X-Requested-For header values sent with export requests
+const REQUEST_PURPOSE_HEADERS = {
+    csv: "export-csv",
+    excel: "export-chunk",
+    pdf: "pdf-export",
+    json: "export-json",
+    print: "print",
+    children: "tree-children",
+};
+
+/**
+ * Build the query object for the table's current state
+ * @param {Object} context - DataTable instance
+ * @param {Object} [overrides] - Query fields to override (fetchData() adds
+ *   a `requestId` sequence number)
+ * @returns {Object} Query object
+ */
+export function buildTableQuery(context, overrides = {}) {
+    // Virtual scrolling shows the whole (filtered) local dataset at once
+    const showAll =
+        context.virtualScroll && !context.serverSide && !context.infiniteScroll;
+
+    return {
+        search: context.search || "",
+        sortBy: context.sort || "",
+        order: context.order || "asc",
+        page: showAll ? 1 : context.currentPage,
+        perPage: showAll ? 0 : context.rowsPerPage,
+        columnFilters: { ...(context.columnFilters || {}) },
+        filters: { ...(context.filters || {}) },
+        export: false,
+        purpose: "table",
+        ...(context.rowGrouping
+            ? { groupBy: [...context.rowGrouping.fields] }
+            : {}),
+        ...overrides,
+    };
+}
+
+/**
+ * Build the export query for the table's current state
+ * Exports always start from the first page and are sorted by `id` when
+ * no sort is set, the same way the export requests always have been.
+ * @param {Object} context - Export context
+ * @param {string} purpose - Export type ('csv', 'excel', 'pdf', 'json', 'print')
+ * @returns {Object} Query object
+ */
+export function buildExportQuery(context, purpose) {
+    return {
+        search: context.search || "",
+        sortBy: context.sort || "id",
+        order: context.order || "asc",
+        page: 1,
+        perPage: 0,
+        columnFilters: { ...(context.columnFilters || {}) },
+        filters: { ...(context.filters || {}) },
+        export: true,
+        purpose,
+        ...(context.rowGrouping
+            ? { groupBy: [...context.rowGrouping.fields] }
+            : {}),
+    };
+}
+
+/**
+ * Serialize request params into URL search params
+ * Nested objects (e.g. columnFilters) are sent as JSON, arrays as a
+ * comma-separated list.
+ * @param {Object} params - Params from the request mapper
+ * @returns {URLSearchParams} Search params
+ */
+export function buildQueryParams(params) {
+    const searchParams = new URLSearchParams();
+
+    for (const [key, value] of Object.entries(params || {})) {
+        if (value === undefined) continue;
+        searchParams.append(
+            key,
+            value !== null && typeof value === "object" && !Array.isArray(value)
+                ? JSON.stringify(value)
+                : value ?? ""
+        );
+    }
+
+    return searchParams;
+}
+
+/**
+ * Resolve request headers (static object or sync/async function)
+ * @param {Object|Function} headers - Headers config
+ * @param {Object} query - Query object passed to header functions
+ * @returns {Promise<Object>} Headers object
+ */
+export async function resolveHeaders(headers, query) {
+    if (typeof headers === "function") {
+        return (await headers(query)) || {};
+    }
+    return headers || {};
+}
+
+/**
+ * Build fetch() arguments for a query according to the ajax config
+ * @param {string} url - API endpoint URL
+ * @param {Object} query - Query object
+ * @param {Object} ajax - Ajax config ({ method, headers, credentials, bodyFormat })
+ * @param {Object} [params] - Mapped request params (defaults to the laravel mapping)
+ * @returns {Promise<Object>} { url, init } ready for fetch()
+ */
+export async function buildRequest(
+    url,
+    query,
+    ajax = {},
+    params = REQUEST_MAPPERS.laravel(query)
+) {
+    const method = (ajax.method || "GET").toUpperCase();
+    const sendsBody = method !== "GET" && method !== "HEAD";
+
+    const headers = {
+        "Content-Type": "application/json",
+    };
+    if (query.purpose && query.purpose !== "table") {
+        headers.Accept = "application/json";
+        headers["X-Requested-With"] = "XMLHttpRequest";
+        if (REQUEST_PURPOSE_HEADERS[query.purpose]) {
+            headers["X-Requested-For"] = REQUEST_PURPOSE_HEADERS[query.purpose];
+        }
+    }
+
+    const init = { method, headers };
+    if (ajax.credentials) {
+        init.credentials = ajax.credentials;
+    }
+
+    let requestUrl = url;
+    if (!sendsBody) {
+        requestUrl = `${url}?${buildQueryParams(params).toString()}`;
+    } else if (ajax.bodyFormat === "form") {
+        headers["Content-Type"] =
+            "application/x-www-form-urlencoded;charset=UTF-8";
+        init.body = buildQueryParams(params).toString();
+    } else {
+        init.body = JSON.stringify(params);
+    }
+
+    // User headers win over the defaults (e.g. Authorization, X-CSRF-TOKEN)
+    Object.assign(headers, await resolveHeaders(ajax.headers, query));
+
+    return { url: requestUrl, init };
+}
+
+/**
+ * Create the default HTTP adapter (requests against `url`)
+ * @param {Object} context - DataTable instance
+ * @returns {Object} Data adapter
+ */
+export function createHttpAdapter(context) {
+    return {
+        async load(query, signal) {
+            const { interceptors = {} } = context;
+            const params = await context.requestMapper(query, {
+                columns: context.columns,
+            });
+
+            let request = await buildRequest(
+                context.url,
+                query,
+                context.ajax,
+                params
+            );
+            if (typeof interceptors.request === "function") {
+                request = (await interceptors.request(request, query)) || request;
+            }
+
+            let res;
+            try {
+                res = await fetch(request.url, { ...request.init, signal });
+            } catch (error) {
+                // Network failure (fetch rejects with a TypeError), not aborts
+                if (error?.name !== "AbortError") error.retryable = true;
+                throw error;
+            }
+
+            if (!res.ok) {
+                const error = new Error(`HTTP error! status: ${res.status}`);
+                error.status = res.status; // used by the retry policy
+                throw error;
+            }
+
+            let json = await res.json();
+            if (typeof interceptors.response === "function") {
+                json = (await interceptors.response(json, query, res)) ?? json;
+            }
+
+            return context.responseMapper(json, query, {
+                dataSrc: context.dataSrc,
+            });
+        },
+    };
+}
+
+/**
+ * Create the local adapter used by client-side mode
+ * @param {Object} context - DataTable instance
+ * @returns {Object} Data adapter
+ */
+export function createLocalAdapter(context) {
+    return {
+        async load(query) {
+            const result = context.tree
+                ? queryTreeRows(context, context.sourceData, query)
+                : queryRows(context.sourceData, query, context.columns);
+            return {
+                rows: result.rows,
+                total: result.total,
+                page: result.current_page,
+                lastPage: result.last_page,
+                // Counts and aggregates over whole groups, not just the page
+                groups:
+                    context.rowGrouping && result.matched
+                        ? computeGroups(result.matched, context.rowGrouping)
+                        : null,
+                // Grand totals for the footer
+                totals:
+                    hasFooter(context.columns) && result.matched
+                        ? computeFooterValues(result.matched, context.columns)
+                        : null,
+                // Depth and expand state of the flattened tree
+                tree: result.tree || null,
+            };
+        },
+    };
+}
+
+/**
+ * Pick the adapter for a table
+ * @param {Object} context - DataTable instance
+ * @param {Object|Function|null} dataAdapter - User adapter (object with load() or a load function)
+ * @returns {Object|null} Data adapter, or null when the table has no data source
+ */
+export function resolveDataAdapter(context, dataAdapter) {
+    if (typeof dataAdapter === "function") {
+        return { load: dataAdapter };
+    }
+    if (dataAdapter && typeof dataAdapter.load === "function") {
+        return dataAdapter;
+    }
+    if (dataAdapter) {
+        console.warn("dataAdapter must be a function or have a load() method");
+    }
+    if (!context.serverSide) {
+        return createLocalAdapter(context);
+    }
+    if (context.url) {
+        return createHttpAdapter(context);
+    }
+    return null;
+}
+
+/**
+ * Load data through the table's adapter and normalize the result
+ * @param {Object} context - Object holding the `dataAdapter`
+ * @param {Object} query - Query object
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<Object>} { rows, total, page, lastPage, groups, totals,
+ *   tree }
+ */
+export async function loadData(context, query, signal) {
+    if (!context.dataAdapter) {
+        throw new Error("No data source: set `url`, `data` or `dataAdapter`");
+    }
+
+    const result = (await context.dataAdapter.load(query, signal)) || {};
+    const rows = Array.isArray(result.rows) ? result.rows : [];
+    const total = Number.isFinite(Number(result.total))
+        ? Number(result.total)
+        : rows.length;
+    const page = Number(result.page) || query.page || 1;
+    const lastPage =
+        Number(result.lastPage) ||
+        (query.perPage ? Math.max(1, Math.ceil(total / query.perPage)) : 1);
+
+    // Optional row group metadata, see rowGroupMethods.js
+    const groups = Array.isArray(result.groups) ? result.groups : null;
+    // Optional grand totals for the footer, see footerMethods.js
+    const totals =
+        result.totals && typeof result.totals === "object"
+            ? result.totals
+            : null;
+
+    // Client-side trees, see treeDataMethods.js
+    const tree = result.tree || null;
+
+    return { rows, total, page, lastPage, groups, totals, tree };
+}
+
+/**
+ * Wait before the next retry attempt
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Rejects early when aborted
+ * @returns {Promise<void>}
+ * @private
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason || new DOMException("Aborted", "AbortError"));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener(
+            "abort",
+            () => {
+                clearTimeout(timer);
+                reject(signal.reason || new DOMException("Aborted", "AbortError"));
+            },
+            { once: true }
+        );
+    });
+}
+
+/**
+ * Check whether a failed request should be retried
+ * Aborted requests (superseded or timed out) are never retried. Network
+ * failures are (errors with `retryable: true`, set by the HTTP adapter;
+ * custom adapters can set it too), HTTP errors only when their status is
+ * listed in `retryOn`. Anything else - invalid JSON, mapper or adapter
+ * bugs - fails the same way again, so it's reported right away.
+ * @param {Error} error - Error thrown by the adapter
+ * @param {Object} retry - Retry config
+ * @param {AbortSignal} [signal] - Request signal
+ * @returns {boolean} True if the request should be retried
+ * @private
+ */
+function isRetryable(error, retry, signal) {
+    if (signal?.aborted || error?.name === "AbortError") return false;
+    if (typeof error?.retryable === "boolean") return error.retryable;
+    return error?.status != null && retry.retryOn.includes(error.status);
+}
+
+/**
+ * Load data with the table's retry policy
+ * Waits `backoff * 2^(attempt - 1)` ms (capped at `maxBackoff`) between
+ * attempts.
+ * @param {Object} context - Object holding `dataAdapter` and `retry`
+ * @param {Object} query - Query object
+ * @param {AbortSignal} [signal] - Abort signal (also cancels pending retries)
+ * @returns {Promise<Object>} { rows, total, page, lastPage }
+ */
+export async function loadDataWithRetry(context, query, signal) {
+    const retry = context.retry || { count: 0 };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await loadData(context, query, signal);
+        } catch (reason) {
+            // Adapters may reject with anything, `attempts` needs an object
+            const error =
+                reason instanceof Error
+                    ? reason
+                    : new Error(String(reason), { cause: reason });
+            if (attempt >= retry.count || !isRetryable(error, retry, signal)) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+            await wait(
+                Math.min(retry.backoff * 2 ** attempt, retry.maxBackoff),
+                signal
+            );
+        }
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Data Mapper Methods
+ * Internal methods for mapping requests and responses of the HTTP adapter
+ * to different backend conventions (not public API)
+ *
+ * requestMapper(query, { columns }) → params object sent to the server
+ * responseMapper(json, query) → { rows, total, page, lastPage }
+ *
+ * Both accept a function or one of the built-in preset names:
+ * 'laravel' (default), 'spring', 'jsonapi', 'datatables'.
+ */
+
+/**
+ * Copy non-empty normal filters onto a params object
+ * @param {Object} params - Params object to extend
+ * @param {Object} filters - Normal filters
+ * @param {Function} [key] - Maps a filter name to a param name
+ * @returns {Object} The params object
+ * @private
+ */
+function appendFilters(params, filters, key = (name) => name) {
+    for (const [name, value] of Object.entries(filters || {})) {
+        if (value !== "" && value != null) {
+            params[key(name)] = value;
+        }
+    }
+    return params;
+}
+
+/**
+ * Read the page number from a JSON:API pagination link
+ * @param {string} link - Link URL (e.g. "/users?page[number]=5")
+ * @returns {number|undefined} Page number
+ * @private
+ */
+function pageFromLink(link) {
+    const href = typeof link === "object" ? link?.href : link;
+    if (!href) return undefined;
+    const match = decodeURIComponent(href).match(/page\[number\]=(\d+)/);
+    return match ? Number(match[1]) : undefined;
+}
+
+export const REQUEST_MAPPERS = {
+    // ?search=&sortBy=&order=&page=&perPage=&columnFilters={}&...filters
+    laravel(query) {
+        const params = {
+            search: query.search ?? "",
+            sortBy: query.sortBy ?? "",
+            order: query.order ?? "",
+            page: query.page ?? 1,
+            perPage: query.perPage ?? "",
+            columnFilters: query.columnFilters || {},
+        };
+        if (query.export) params.export = true;
+        if (query.groupBy?.length) params.groupBy = query.groupBy;
+        return appendFilters(params, query.filters);
+    },
+
+    // ?page=0&size=10&sort=name,asc&search=&...columnFilters&...filters
+    spring(query) {
+        const params = {
+            page: Math.max(0, (query.page ?? 1) - 1),
+            size: query.perPage ?? "",
+        };
+        if (query.sortBy) params.sort = `${query.sortBy},${query.order || "asc"}`;
+        if (query.search) params.search = query.search;
+        appendFilters(params, query.columnFilters);
+        return appendFilters(params, query.filters);
+    },
+
+    // ?page[number]=1&page[size]=10&sort=-name&filter[search]=&filter[col]=
+    jsonapi(query) {
+        const params = {
+            "page[number]": query.page ?? 1,
+            "page[size]": query.perPage ?? "",
+        };
+        if (query.sortBy) {
+            params.sort = `${query.order === "desc" ? "-" : ""}${query.sortBy}`;
+        }
+        if (query.search) params["filter[search]"] = query.search;
+        appendFilters(params, query.columnFilters, (name) => `filter[${name}]`);
+        return appendFilters(params, query.filters, (name) => `filter[${name}]`);
+    },
+
+    // Legacy DataTables server-side protocol (start/length/search[value]/order[0][...])
+    datatables(query, { columns = [] } = {}) {
+        const perPage = Number(query.perPage) || 0;
+        const params = {
+            draw: query.requestId ?? query.page ?? 1,
+            start: Math.max(0, ((query.page ?? 1) - 1) * perPage),
+            length: perPage || -1,
+            "search[value]": query.search ?? "",
+            "search[regex]": false,
+        };
+
+        columns.forEach((column, index) => {
+            params[`columns[${index}][data]`] = column.name;
+            params[`columns[${index}][search][value]`] =
+                query.columnFilters?.[column.name] ?? "";
+        });
+
+        const sortIndex = columns.findIndex(
+            (column) => column.name === query.sortBy
+        );
+        if (sortIndex !== -1) {
+            params["order[0][column]"] = sortIndex;
+            params["order[0][dir]"] = query.order || "asc";
+        }
+
+        return appendFilters(params, query.filters);
+    },
+};
+
+export const RESPONSE_MAPPERS = {
+    // { data: [], current_page, last_page, total } (also under `meta`)
+    laravel(json, query, { dataSrc = "data" } = {}) {
+        return {
+            rows: json[dataSrc] || [],
+            total: json.total ?? json.meta?.total,
+            page: json.current_page ?? json.meta?.current_page,
+            lastPage: json.last_page ?? json.meta?.last_page,
+            groups: json.groups ?? json.meta?.groups,
+            totals: json.totals ?? json.meta?.totals,
+        };
+    },
+
+    // Spring Data Page: { content: [], number, totalPages, totalElements }
+    // or Spring HATEOAS: { _embedded: { items: [] }, page: { ... } }
+    spring(json) {
+        const page = json.page && typeof json.page === "object" ? json.page : json;
+        const rows =
+            json.content ||
+            Object.values(json._embedded || {}).find(Array.isArray) ||
+            [];
+        return {
+            rows,
+            total: page.totalElements,
+            page: Number.isFinite(page.number) ? page.number + 1 : undefined,
+            lastPage: page.totalPages,
+        };
+    },
+
+    // JSON:API: { data: [{ id, type, attributes }], meta: { page | total }, links }
+    jsonapi(json) {
+        const meta = json.meta || {};
+        const page = meta.page && typeof meta.page === "object" ? meta.page : {};
+        const rows = (json.data || []).map((resource) =>
+            resource && resource.attributes
+                ? { id: resource.id, ...resource.attributes }
+                : resource
+        );
+        return {
+            rows,
+            total: page.total ?? meta.total ?? meta.totalCount ?? meta.count,
+            page:
+                page.currentPage ??
+                page["current-page"] ??
+                page.number ??
+                pageFromLink(json.links?.self),
+            lastPage:
+                page.lastPage ??
+                page["last-page"] ??
+                meta.totalPages ??
+                pageFromLink(json.links?.last),
+        };
+    },
+
+    // Legacy DataTables: { data | aaData: [], recordsTotal, recordsFiltered }
+    datatables(json, query) {
+        return {
+            rows: json.data || json.aaData || [],
+            total:
+                json.recordsFiltered ??
+                json.iTotalDisplayRecords ??
+                json.recordsTotal ??
+                json.iTotalRecords,
+            page: query.page,
+        };
+    },
+};
+
+// "datatables-legacy" reads better in config, keep both names working
+REQUEST_MAPPERS["datatables-legacy"] = REQUEST_MAPPERS.datatables;
+RESPONSE_MAPPERS["datatables-legacy"] = RESPONSE_MAPPERS.datatables;
+
+/**
+ * Resolve a request mapper (function or preset name)
+ * @param {Function|string|null} mapper - Request mapper config
+ * @returns {Function} (query, options) => params
+ */
+export function resolveRequestMapper(mapper) {
+    if (typeof mapper === "function") return mapper;
+    if (mapper && !REQUEST_MAPPERS[mapper]) {
+        console.warn(`Unknown requestMapper preset "${mapper}", using "laravel"`);
+    }
+    return REQUEST_MAPPERS[mapper] || REQUEST_MAPPERS.laravel;
+}
+
+/**
+ * Resolve a response mapper (function or preset name)
+ * @param {Function|string|null} mapper - Response mapper config
+ * @returns {Function} (json, query, options) => { rows, total, page, lastPage }
+ */
+export function resolveResponseMapper(mapper) {
+    if (typeof mapper === "function") return mapper;
+    if (mapper && !RESPONSE_MAPPERS[mapper]) {
+        console.warn(
+            `Unknown responseMapper preset "${mapper}", using "laravel"`
+        );
+    }
+    return RESPONSE_MAPPERS[mapper] || RESPONSE_MAPPERS.laravel;
+}
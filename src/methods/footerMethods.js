@@ -0,0 +1,240 @@
+/**
+ * Footer Methods
+ * Internal methods for the <tfoot> column aggregates (not public API)
+ *
+ * Columns opt in with `footer: { aggregate, format, label }` (or just the
+ * aggregate name). The page row aggregates the rows on display. A grand
+ * total row is added when the data source result carries `totals`
+ * ({ column name: value }); the local adapter computes them, servers can
+ * send them (Laravel preset: `totals` or `meta.totals`).
+ */
+
+import {
+    AGGREGATES,
+    getNumericValues,
+    formatAggregateValue,
+} from "./rowGroupMethods.js";
+
+/**
+ * Resolve a column's footer config
+ * @param {Object} column - Column config
+ * @returns {Object|null} { aggregate, format, label } or null without footer
+ */
+export function getFooterConfig(column) {
+    const footer = column?.footer;
+    if (!footer) return null;
+
+    if (typeof footer === "string" || typeof footer === "function") {
+        return { aggregate: footer, format: null, label: "" };
+    }
+    return {
+        // "sum" | "avg" | "min" | "max" | "count" | (values, rows) => value
+        aggregate: footer.aggregate || null,
+        // (value, { type, column }) => string, or Intl.NumberFormat options
+        format: footer.format || null,
+        label: footer.label || "",
+    };
+}
+
+/**
+ * Check whether any column has a footer
+ * @param {Array} columns - Columns configuration
+ * @returns {boolean} True if a footer should be rendered
+ */
+export function hasFooter(columns = []) {
+    return columns.some((column) => getFooterConfig(column));
+}
+
+/**
+ * Aggregate the footer columns over a set of rows
+ * @param {Array} rows - Rows to aggregate
+ * @param {Array} columns - Columns configuration
+ * @returns {Object} Column name -> aggregate value
+ */
+export function computeFooterValues(rows, columns) {
+    const totals = {};
+    columns.forEach((column) => {
+        const aggregate = getFooterConfig(column)?.aggregate;
+        if (!aggregate) return;
+
+        const values = getNumericValues(rows, column.name);
+        if (typeof aggregate === "function") {
+            totals[column.name] = aggregate(values, rows);
+        } else if (AGGREGATES[aggregate]) {
+            totals[column.name] = AGGREGATES[aggregate](values, rows);
+        }
+    });
+    return totals;
+}
+
+/**
+ * Format a column's footer cell ("Total: 1,200")
+ * @param {Object} context - DataTable (or export) context with `locale`
+ * @param {Object} column - Column config
+ * @param {Object} [totals] - Column name -> aggregate value
+ * @param {string} type - "page", "total" or "export"
+ * @returns {string} Cell text
+ * @private
+ */
+function formatFooterCell(context, column, totals, type) {
+    const config = getFooterConfig(column);
+    if (!config) return "";
+
+    const value = totals?.[column.name];
+    let text = "";
+    if (value !== undefined && value !== null) {
+        if (typeof config.format === "function") {
+            text = config.format(value, { type, column });
+        } else if (config.format && typeof value === "number") {
+            text = new Intl.NumberFormat(
+                context.locale,
+                config.format
+            ).format(value);
+        } else {
+            text = formatAggregateValue(value);
+        }
+    }
+
+    return [config.label, text]
+        .filter((part) => part !== "" && part !== null && part !== undefined)
+        .join(" ");
+}
+
+/**
+ * Build the cells of a footer row
+ * @param {Object} context - DataTable (or export) context with `locale`
+ * @param {Array} columns - Visible or exported columns
+ * @param {Object} totals - Column name -> aggregate value
+ * @param {string} type - "page", "total" or "export"
+ * @param {string} [caption] - Shown in the first cell when it's empty
+ * @returns {Array<string>} Cell texts
+ */
+export function getFooterCells(
+    context,
+    columns,
+    totals,
+    type,
+    caption = ""
+) {
+    const cells = columns.map((column) =>
+        String(formatFooterCell(context, column, totals, type))
+    );
+    if (cells.length && !cells[0]) cells[0] = caption;
+    return cells;
+}
+
+/**
+ * Create a footer <tr>
+ * @param {Object} context - DataTable instance
+ * @param {Array} columns - Visible columns
+ * @param {Array<string>} cells - Cell texts
+ * @param {string} type - "page" or "total"
+ * @returns {HTMLTableRowElement} Footer row element
+ * @private
+ */
+function createFooterRow(context, columns, cells, type) {
+    const tr = document.createElement("tr");
+    tr.dataset.footer = type;
+    tr.className =
+        (type === "total" && context.theme.footerTotalRow) ||
+        context.theme.footerRow ||
+        "";
+
+    columns.forEach((column, index) => {
+        const td = document.createElement("td");
+        td.dataset.column = column.name;
+        td.className = context.theme.footerCell || "";
+        td.textContent = cells[index];
+        tr.appendChild(td);
+    });
+    return tr;
+}
+
+/**
+ * Render the <tfoot> for the rows on display
+ * The grand total row is left out when every row is already displayed,
+ * it would only repeat the page row.
+ * @param {Object} context - DataTable instance
+ */
+export function syncFooter(context) {
+    const table = context.table;
+    if (!table || !hasFooter(context.columns)) return;
+
+    const columns = context.columns.filter((column) =>
+        context.isColumnVisible(column.name)
+    );
+    const rows = context.data || [];
+    const grand = context._footerTotals;
+    const showGrand = Boolean(grand) && grand.count > rows.length;
+
+    const trs = [];
+    if (rows.length) {
+        const cells = getFooterCells(
+            context,
+            columns,
+            computeFooterValues(rows, columns),
+            "page",
+            showGrand ? "Page total" : "Total"
+        );
+        trs.push(createFooterRow(context, columns, cells, "page"));
+    }
+    if (showGrand) {
+        const cells = getFooterCells(
+            context,
+            columns,
+            grand.values,
+            "total",
+            "Grand total"
+        );
+        trs.push(createFooterRow(context, columns, cells, "total"));
+    }
+
+    const tfoot = table.tFoot || table.createTFoot();
+    tfoot.className = context.theme.footer || "";
+    tfoot.replaceChildren(...trs);
+    tfoot.hidden = !trs.length;
+}
+
+/**
+ * Store the grand totals of the latest result
+ * @param {Object} context - DataTable instance
+ * @param {Object} result - Normalized data source result
+ */
+export function setFooterTotals(context, result) {
+    context._footerTotals = result.totals
+        ? { values: result.totals, count: result.total }
+        : null;
+}
+
+/**
+ * Collect the totals row of an export
+ * Server totals are used when the result has them, otherwise the
+ * exported rows are aggregated.
+ * @param {Object} context - Export context with `locale`
+ * @param {Array} columns - Exported columns
+ * @returns {Object|null} { add(rows, totals), getCells() }, or null when no
+ *   column has a footer
+ */
+export function createExportFooter(context, columns) {
+    if (!hasFooter(columns)) return null;
+
+    const rows = [];
+    let serverTotals = null;
+
+    return {
+        add(chunk, totals) {
+            if (totals) serverTotals = totals;
+            // No spread, a client-side export is a single large chunk
+            else if (!serverTotals) chunk.forEach((row) => rows.push(row));
+        },
+        getCells() {
+            return getFooterCells(
+                context,
+                columns,
+                serverTotals || computeFooterValues(rows, columns),
+                "export",
+                "Total"
+            );
+        },
+    };
+}
@@ -0,0 +1,347 @@
+/**
+ * Format Methods
+ * Internal methods for the built-in `column.format` types (not public API)
+ *
+ * Formats use `Intl` with the table's `locale` (the browser's by default).
+ * Cells, cards and the responsive child rows show the formatted value; the
+ * inline editor works on the raw value with a matching input type. CSV,
+ * Excel, PDF and print export formatted values unless
+ * `exportable.formatValues` turns it off (JSON always exports raw data).
+ */
+
+const NUMBER_TYPES = ["number", "currency", "percent", "bytes"];
+const DATE_TYPES = ["date", "datetime", "time"];
+
+const DATE_DEFAULTS = {
+    date: { dateStyle: "medium" },
+    datetime: { dateStyle: "medium", timeStyle: "short" },
+    time: { timeStyle: "short" },
+};
+
+const BYTE_UNITS = ["byte", "kilobyte", "megabyte", "gigabyte", "terabyte"];
+
+const RELATIVE_UNITS = [
+    ["year", 365 * 24 * 3600],
+    ["month", 30 * 24 * 3600],
+    ["week", 7 * 24 * 3600],
+    ["day", 24 * 3600],
+    ["hour", 3600],
+    ["minute", 60],
+    ["second", 1],
+];
+
+// Intl formatters are expensive to create, keep one per locale and options
+const formatterCache = new Map();
+
+// Warn once per problem, not once per cell
+const warnings = new Set();
+
+/**
+ * Log a warning the first time it comes up
+ * @param {string} message - Warning
+ * @param {*} [error] - Error to log with it
+ * @private
+ */
+function warnOnce(message, error) {
+    if (warnings.has(message)) return;
+    warnings.add(message);
+    console.warn(message, ...(error ? [error] : []));
+}
+
+/**
+ * Normalize a `column.format` value
+ * @param {string|Object|null} format - Type name or { type, ...options }
+ * @returns {Object|null} { type, options } or null when not set
+ */
+export function normalizeFormat(format) {
+    if (!format) return null;
+    if (typeof format === "string") return { type: format, options: {} };
+    if (typeof format !== "object" || !format.type) return null;
+
+    const { type, ...options } = format;
+    return { type, options };
+}
+
+/**
+ * Get a cached Intl formatter
+ * @param {Function} Formatter - Intl constructor
+ * @param {string|undefined} locale - Locale
+ * @param {Object} options - Formatter options
+ * @returns {Object} Intl formatter
+ * @private
+ */
+function getFormatter(Formatter, locale, options) {
+    const key = `${Formatter.name}|${locale ?? ""}|${JSON.stringify(options)}`;
+    if (!formatterCache.has(key)) {
+        formatterCache.set(key, new Formatter(locale, options));
+    }
+    return formatterCache.get(key);
+}
+
+// Date-only ISO strings, which `new Date()` would read as UTC midnight
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Turn a value into a Date
+ * "YYYY-MM-DD" is a local date, so it shows (and edits) as the same day
+ * in every time zone.
+ * @param {*} value - Date, timestamp (ms) or date string
+ * @returns {Date|null} Date, or null if it isn't a valid date
+ * @private
+ */
+function toDate(value) {
+    let date = value instanceof Date ? value : new Date(value);
+
+    const dateOnly = typeof value === "string" && DATE_ONLY_PATTERN.exec(value);
+    if (dateOnly) {
+        const [, year, month, day] = dateOnly.map(Number);
+        date = new Date(year, month - 1, day);
+    }
+
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check whether a value counts as true for the boolean format
+ * @param {*} value - Cell value
+ * @returns {boolean} True for true, 1, "true", "1" and "yes"
+ * @private
+ */
+function isTruthy(value) {
+    return [true, 1, "true", "1", "yes"].includes(
+        typeof value === "string" ? value.toLowerCase() : value
+    );
+}
+
+/**
+ * Format a number of bytes with the largest fitting unit
+ * @param {number} value - Bytes
+ * @param {string|undefined} locale - Locale
+ * @param {Object} options - { base: 1000 | 1024, ...Intl options }
+ * @returns {string} Formatted size
+ * @private
+ */
+function formatBytes(value, locale, options) {
+    const { base = 1000, ...intlOptions } = options;
+    let size = Math.abs(value);
+    let unit = 0;
+    while (size >= base && unit < BYTE_UNITS.length - 1) {
+        size /= base;
+        unit++;
+    }
+
+    return getFormatter(Intl.NumberFormat, locale, {
+        maximumFractionDigits: unit === 0 ? 0 : 1,
+        ...intlOptions,
+        style: "unit",
+        unit: BYTE_UNITS[unit],
+    }).format(Math.sign(value) * size);
+}
+
+/**
+ * Format a date relative to now ("3 days ago", "in 2 hours")
+ * @param {Date} date - Date
+ * @param {string|undefined} locale - Locale
+ * @param {Object} options - Intl.RelativeTimeFormat options
+ * @returns {string} Formatted time
+ * @private
+ */
+function formatRelativeTime(date, locale, options) {
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    const [unit, size] =
+        RELATIVE_UNITS.find(([, length]) => Math.abs(seconds) >= length) ||
+        RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+
+    return getFormatter(Intl.RelativeTimeFormat, locale, {
+        numeric: "auto",
+        ...options,
+    }).format(Math.round(seconds / size), unit);
+}
+
+/**
+ * Format a value with a column's `format`
+ * Empty values stay empty, values that don't fit the type (text in a
+ * number column, invalid dates) are shown as they are.
+ * @param {Object} context - DataTable (or export) context with `locale`
+ * @param {Object} column - Column config
+ * @param {*} value - Raw value
+ * @returns {string|null} Formatted text, null if the column has no format
+ */
+export function formatValue(context, column, value) {
+    const format = normalizeFormat(column.format);
+    if (!format) return null;
+    if (value === null || value === undefined || value === "") return "";
+
+    const { type, options } = format;
+    const locale = context?.locale;
+
+    try {
+        if (NUMBER_TYPES.includes(type)) {
+            const number = Number(value);
+            if (typeof value === "boolean" || Number.isNaN(number)) {
+                return String(value);
+            }
+            if (type === "bytes") return formatBytes(number, locale, options);
+
+            // Currency needs `currency`, Intl throws without it
+            const style = type === "number" ? "decimal" : type;
+            return getFormatter(Intl.NumberFormat, locale, {
+                ...options,
+                style,
+            }).format(number);
+        }
+
+        if (DATE_TYPES.includes(type) || type === "relativeTime") {
+            const date = toDate(value);
+            if (!date) return String(value);
+            if (type === "relativeTime") {
+                return formatRelativeTime(date, locale, options);
+            }
+
+            // Custom fields replace the default style
+            const hasFields = Object.keys(options).some(
+                (key) => !["timeZone", "hour12", "calendar"].includes(key)
+            );
+            return getFormatter(
+                Intl.DateTimeFormat,
+                locale,
+                hasFields ? options : { ...DATE_DEFAULTS[type], ...options }
+            ).format(date);
+        }
+
+        if (type === "boolean") {
+            const { trueLabel = "Yes", falseLabel = "No" } = options;
+            return isTruthy(value) ? trueLabel : falseLabel;
+        }
+    } catch (error) {
+        // Bad Intl options (unknown currency, invalid locale)
+        warnOnce(`Could not format "${column.name}":`, error);
+        return String(value);
+    }
+
+    warnOnce(`Unknown format type "${type}" for column "${column.name}"`);
+    return String(value);
+}
+
+/**
+ * Get the input type for editing a formatted column
+ * @param {Object} column - Column config
+ * @returns {string|null} Input type, null if the format doesn't need one
+ */
+export function getEditorType(column) {
+    const type = normalizeFormat(column.format)?.type;
+    if (NUMBER_TYPES.includes(type)) return "number";
+    if (type === "date") return "date";
+    if (type === "datetime" || type === "relativeTime") {
+        return "datetime-local";
+    }
+    if (type === "time") return "time";
+    if (type === "boolean") return "checkbox";
+    return null;
+}
+
+/**
+ * Pad a date part to two digits
+ * @param {number} value - Date part
+ * @returns {string} Padded value
+ * @private
+ */
+function pad(value) {
+    return String(value).padStart(2, "0");
+}
+
+/**
+ * Convert a raw value to what an input of the given type expects
+ * Date inputs take local "YYYY-MM-DD" / "YYYY-MM-DDTHH:mm" / "HH:mm",
+ * checkboxes "true" or "false".
+ * @param {string} inputType - Input type
+ * @param {*} value - Raw value
+ * @returns {string} Input value
+ */
+export function toEditorValue(inputType, value) {
+    if (inputType === "checkbox") return String(isTruthy(value));
+    if (value === null || value === undefined) return "";
+    if (!["date", "datetime-local", "time"].includes(inputType)) {
+        return String(value);
+    }
+    // Time-only strings ("14:30") are already what the input needs
+    if (inputType === "time" && /^\d{1,2}:\d{2}/.test(String(value))) {
+        return String(value).slice(0, 5);
+    }
+
+    const date = toDate(value);
+    if (!date) return "";
+
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+        date.getDate()
+    )}`;
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    if (inputType === "date") return day;
+    if (inputType === "time") return time;
+    return `${day}T${time}`;
+}
+
+/**
+ * Read an edited value back for a formatted column
+ * Numbers stay numbers and booleans stay booleans, so unchanged cells are
+ * recognized and `onCellEdit` gets a usable value.
+ * @param {Object} column - Column config
+ * @param {HTMLInputElement|HTMLSelectElement} input - Editor
+ * @param {*} oldValue - Value before editing
+ * @returns {*} New value
+ */
+export function fromEditorValue(column, input, oldValue) {
+    if (!normalizeFormat(column.format)) return input.value;
+
+    switch (input.type) {
+        case "checkbox":
+            return input.checked === isTruthy(oldValue)
+                ? oldValue
+                : input.checked;
+        case "number":
+            if (input.value === "") {
+                const wasEmpty =
+                    oldValue === "" || oldValue === null || oldValue === undefined;
+                return wasEmpty ? oldValue : null;
+            }
+            return Number(input.value) === Number(oldValue)
+                ? oldValue
+                : Number(input.value);
+        case "date":
+        case "datetime-local":
+        case "time":
+            // Keep the original when only the precision differs (seconds)
+            return toEditorValue(input.type, oldValue) === input.value
+                ? oldValue
+                : input.value;
+        default:
+            return input.value;
+    }
+}
+
+/**
+ * Check whether an export should use formatted values
+ * `exportable.formatValues` is true (default), false, or per export type.
+ * @param {Object} context - Export context with `exportable`
+ * @param {string} type - "csv", "excel", "pdf" or "print"
+ * @returns {boolean} True to export formatted values
+ */
+export function shouldExportFormatted(context, type) {
+    const setting = context.exportable?.formatValues;
+    if (setting && typeof setting === "object") return setting[type] !== false;
+    return setting !== false;
+}
+
+/**
+ * Get a cell value for export
+ * @param {Object|null} context - Export context with `locale` to apply the
+ *   column's format, null for the raw value
+ * @param {Object} column - Column config
+ * @param {*} value - Raw value
+ * @returns {*} Formatted text or the raw value (0 and false are kept,
+ *   null and undefined become "")
+ */
+export function getExportValue(context, column, value) {
+    const formatted = context ? formatValue(context, column, value) : null;
+    return formatted ?? value ?? "";
+}
@@ -3,6 +3,12 @@
  * Internal methods for infinite scroll functionality (not public API)
  */
 
+import { createRowElement, animateRows } from "./rowPatchMethods.js";
+import { syncRowDetails } from "./rowDetailsMethods.js";
+import { syncResponsiveRows } from "./responsiveMethods.js";
+import { syncRowGroups } from "./rowGroupMethods.js";
+import { syncPinnedColumns } from "./columnPinMethods.js";
+
 /**
  * Initialize infinite scroll
  * @param {Object} context - DataTable instance
@@ -29,9 +35,12 @@ export function initInfiniteScroll(context) {
 
 /**
  * Create scrollable wrapper container
+ * Shared with virtual scrolling, which needs the same wrapper.
  * @param {Object} context - DataTable instance
  */
-function createScrollWrapper(context) {
+export function createScrollWrapper(context) {
+    if (context.scrollWrapper) return;
+
     context.scrollWrapper = document.createElement("div");
     context.scrollWrapper.className = context.theme.scrollWrapperClass || "";
     context.scrollWrapper.style.height = context.scrollWrapperHeight || "80vh";
@@ -221,7 +230,7 @@ function hideScrollLoader(context) {
  * Hide pagination UI if configured
  * @param {Object} context - DataTable instance
  */
-function hidePaginationIfNeeded(context) {
+export function hidePaginationIfNeeded(context) {
     if (!context.hidePaginationOnScroll || !context.pagination) {
         return;
     }
@@ -270,78 +279,23 @@ export function appendRows(context, rows) {
         return;
     }
 
-    const isTailwind = context.theme.framework === "tailwind";
-    const isBootstrap = context.theme.framework === "bootstrap";
-
-    // Get current row count for animation delay
-    const existingRowCount = tbody.querySelectorAll("tr").length;
-
-    // Use DocumentFragment for better performance
-    const fragment = document.createDocumentFragment();
+    // Get current row count so rowClass gets the right index
+    const existingRowCount = tbody.querySelectorAll("tr[data-id]").length;
 
-    rows.forEach((row, rowIndex) => {
-        const tr = document.createElement("tr");
-        tr.dataset.id = row.id;
-
-        // Apply row theme classes
-        tr.className = context.theme.row || "";
-        if (typeof context.theme.rowClass === "function") {
-            tr.classList.add(
-                ...context.theme
-                    .rowClass(row, existingRowCount + rowIndex)
-                    .split(" ")
-            );
-        } else if (typeof context.theme.rowClass === "string") {
-            tr.classList.add(...context.theme.rowClass.split(" "));
-        }
-
-        // Add initial hidden/fade classes for animation
-        if (isTailwind) {
-            tr.classList.add(
-                "opacity-0",
-                "translate-y-2",
-                "transition-all",
-                "duration-300"
-            );
-        } else if (isBootstrap) {
-            tr.classList.add("opacity-0", "transition", "duration-300");
-        }
-
-        // Create and append cells (only for visible columns)
-        context.columns.forEach((column) => {
-            if (!context.isColumnVisible(column.name)) return;
-
-            const td = document.createElement("td");
-            if (context.renderCell) {
-                context.renderCell(
-                    td,
-                    row,
-                    column,
-                    existingRowCount + rowIndex
-                );
-            }
-            tr.appendChild(td);
-        });
-
-        fragment.appendChild(tr);
-
-        // Animate row with stagger effect
-        const delay = rowIndex * 50;
-        if (isTailwind) {
-            setTimeout(() => {
-                tr.classList.remove("opacity-0", "translate-y-2");
-                tr.classList.add("opacity-100", "translate-y-0");
-            }, delay);
-        } else if (isBootstrap) {
-            setTimeout(() => {
-                tr.classList.remove("opacity-0");
-                tr.classList.add("opacity-100");
-            }, delay);
-        }
-    });
+    const trs = rows.map((row, rowIndex) =>
+        createRowElement(context, row, existingRowCount + rowIndex)
+    );
 
     // Append all rows at once for better performance
-    tbody.appendChild(fragment);
+    tbody.append(...trs);
+    context._renderedRows = [...(context._renderedRows || []), ...rows];
+    syncRowDetails(context);
+    syncResponsiveRows(context);
+    syncRowGroups(context);
+    syncPinnedColumns(context);
+
+    // Animate row with (capped) stagger effect
+    animateRows(context, trs);
 }
 
 /**
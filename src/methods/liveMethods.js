@@ -0,0 +1,230 @@
+/**
+ * Live Methods
+ * Internal methods for live updates over EventSource, WebSocket or a custom
+ * subscribe function (not public API)
+ *
+ * Messages look like { type: "insert" | "update" | "delete", row, id }
+ * (or an array of them) and are applied through addRow/updateRow/deleteRow,
+ * then only the affected <tr>s are patched.
+ */
+
+import { loadData, buildTableQuery } from "./dataAdapterMethods.js";
+import { setTreeMeta } from "./treeDataMethods.js";
+import { patchRows } from "./rowPatchMethods.js";
+import { setGroupMeta } from "./rowGroupMethods.js";
+import { setFooterTotals } from "./footerMethods.js";
+
+const MESSAGE_TYPES = {
+    insert: "insert",
+    create: "insert",
+    add: "insert",
+    update: "update",
+    change: "update",
+    delete: "delete",
+    remove: "delete",
+};
+
+/**
+ * Normalize the `live` option
+ * @param {string|Object|Function|EventSource|WebSocket|null} live - Live config
+ * @returns {Object|null} { source, parse, flash, flashDuration } or null
+ */
+export function normalizeLiveConfig(live) {
+    if (!live) return null;
+
+    const isConfig =
+        typeof live === "object" &&
+        "source" in live &&
+        typeof live.addEventListener !== "function";
+    const config = isConfig ? live : { source: live };
+
+    return {
+        source: config.source,
+        parse: typeof config.parse === "function" ? config.parse : null,
+        flash: config.flash !== false,
+        flashDuration: config.flashDuration ?? 1500,
+    };
+}
+
+/**
+ * Turn a raw event payload into a list of messages
+ * @param {Object} context - DataTable instance
+ * @param {*} payload - Event data (JSON string or object)
+ * @param {string} [eventType] - Named SSE event ("insert", "update", ...)
+ * @returns {Array} Messages
+ * @private
+ */
+function parseMessages(context, payload, eventType) {
+    let data = payload;
+    if (context.live.parse) {
+        data = context.live.parse(payload);
+    } else if (typeof payload === "string") {
+        data = JSON.parse(payload);
+    }
+
+    const messages = Array.isArray(data) ? data : [data];
+    return messages.filter(Boolean).map((message) =>
+        eventType && !message.type ? { ...message, type: eventType } : message
+    );
+}
+
+/**
+ * Open the configured live source
+ * @param {Object} context - DataTable instance
+ * @returns {void}
+ */
+export function startLive(context) {
+    if (!context.live || context._liveUnsubscribe) return;
+
+    const { source } = context.live;
+    const onPayload = (payload, eventType) => {
+        try {
+            applyLiveUpdate(
+                context,
+                parseMessages(context, payload, eventType)
+            );
+        } catch (error) {
+            console.error("Invalid live update message:", error);
+        }
+    };
+
+    // Subscribe function: (push) => unsubscribe
+    if (typeof source === "function") {
+        const unsubscribe = source((message) => onPayload(message));
+        context._liveUnsubscribe = () => {
+            if (typeof unsubscribe === "function") unsubscribe();
+        };
+        return;
+    }
+
+    let target = source;
+    if (typeof source === "string") {
+        target = /^wss?:\/\//i.test(source)
+            ? new WebSocket(source)
+            : new EventSource(source);
+    }
+
+    if (!target || typeof target.addEventListener !== "function") {
+        console.warn(
+            "live.source must be a URL, EventSource, WebSocket or function"
+        );
+        return;
+    }
+
+    const onMessage = (event) => onPayload(event.data);
+    const onTypedMessage = (event) => onPayload(event.data, event.type);
+    const namedEvents = ["insert", "update", "delete"];
+
+    target.addEventListener("message", onMessage);
+    // SSE can name the event instead of putting the type in the payload
+    namedEvents.forEach((name) =>
+        target.addEventListener(name, onTypedMessage)
+    );
+
+    context._liveUnsubscribe = () => {
+        target.removeEventListener("message", onMessage);
+        namedEvents.forEach((name) =>
+            target.removeEventListener(name, onTypedMessage)
+        );
+        // Only close connections we opened ourselves
+        if (typeof source === "string") target.close();
+    };
+}
+
+/**
+ * Close the live source
+ * @param {Object} context - DataTable instance
+ * @returns {void}
+ */
+export function stopLive(context) {
+    if (context._liveUnsubscribe) {
+        context._liveUnsubscribe();
+        context._liveUnsubscribe = null;
+    }
+}
+
+/**
+ * Apply a single message through the CRUD API (silently)
+ * @param {Object} context - DataTable instance
+ * @param {Object} message - { type, row, id }
+ * @returns {boolean} True if the data changed
+ * @private
+ */
+function applyMessage(context, message) {
+    const type = MESSAGE_TYPES[String(message.type).toLowerCase()];
+    const row = message.row || message.data;
+    const id = message.id ?? row?.id;
+
+    switch (type) {
+        case "insert":
+            return row ? context.addRow(row, true) : false;
+        case "update": {
+            const updated = context.updateRow(id, row || {}, true);
+            // Unknown row on a server-side page: treat as an upsert only
+            // in client-side mode, where the full dataset is local
+            if (!updated && !context.serverSide && row) {
+                return context.addRow({ id, ...row }, true);
+            }
+            return updated;
+        }
+        case "delete":
+            return context.deleteRow(id, true);
+        default:
+            console.warn(`Unknown live update type "${message.type}"`);
+            return false;
+    }
+}
+
+/**
+ * Apply live update messages and patch the affected rows
+ * Messages are applied one batch at a time, in arrival order.
+ * @param {Object} context - DataTable instance
+ * @param {Object|Array} messages - Message or list of messages
+ * @returns {Promise<void>}
+ */
+export function applyLiveUpdate(context, messages) {
+    const list = Array.isArray(messages) ? messages : [messages];
+
+    context._liveQueue = (context._liveQueue || Promise.resolve())
+        .then(async () => {
+            const previousRows = [...context.data];
+            const changed = list
+                .map((message) => applyMessage(context, message))
+                .some(Boolean);
+            if (!changed) return;
+
+            let rows = context.data;
+            // Client-side mode: re-run the current query so sorting,
+            // filtering and pagination place the rows correctly
+            if (!context.serverSide) {
+                // Infinite scroll shows every page loaded so far
+                const query = context.infiniteScroll
+                    ? buildTableQuery(context, {
+                          page: 1,
+                          perPage: context.rowsPerPage * context.currentPage,
+                      })
+                    : buildTableQuery(context);
+                const result = await loadData(context, query);
+                rows = result.rows;
+                setTreeMeta(context, result.tree);
+                setGroupMeta(context, result.groups);
+                setFooterTotals(context, result);
+                if (context.pagination && !context.infiniteScroll) {
+                    context.updatePagination(result);
+                }
+            }
+
+            context.data = rows;
+            if (!rows.length) {
+                context.showEmptyStateInTable("No records found.");
+                return;
+            }
+            patchRows(context, rows, previousRows, {
+                flash: context.live?.flash ?? true,
+                flashDuration: context.live?.flashDuration,
+            });
+        })
+        .catch((error) => console.error("Error applying live update:", error));
+
+    return context._liveQueue;
+}
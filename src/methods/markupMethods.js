@@ -0,0 +1,156 @@
+/**
+ * Markup Methods
+ * Internal methods for progressive enhancement of server-rendered tables
+ * (not public API)
+ *
+ * Columns are read from the header cells:
+ *
+ *   <th data-name="price" data-type="number" data-sortable="false"
+ *       data-searchable="false" data-visible="false" data-align="right"
+ *       data-width="120px" title="Tooltip">Price</th>
+ *
+ * and rows from <tbody>. A cell's `data-value` (e.g. an ISO date or the
+ * plain number behind "1.234,56 €") wins over its text for sorting and
+ * filtering; cells with markup keep their HTML.
+ */
+
+import { escapeHtml } from "./cellRenderMethods.js";
+
+/**
+ * Check whether the table has header cells to read columns from
+ * @param {HTMLTableElement} table - Table element
+ * @returns {boolean} True if the table can be enhanced
+ */
+export function hasTableMarkup(table) {
+    return Boolean(table?.querySelector("thead th"));
+}
+
+/**
+ * Read a boolean data-* attribute
+ * @param {string|undefined} value - Attribute value
+ * @param {boolean} fallback - Value when the attribute is missing
+ * @returns {boolean} Parsed value
+ * @private
+ */
+function readFlag(value, fallback) {
+    if (value === undefined) return fallback;
+    return value !== "false" && value !== "0";
+}
+
+/**
+ * Turn a header label into a column name
+ * @param {string} label - Header text
+ * @param {number} index - Column index (fallback)
+ * @returns {string} Column name
+ * @private
+ */
+function toColumnName(label, index) {
+    const name = label
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "_")
+        .replace(/^_+|_+$/g, "");
+    return name || `column_${index + 1}`;
+}
+
+// Plain numbers only: "1.234,56" or "1 234" depend on the page's locale
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Convert a cell's text to the column type
+ * Formatted numbers stay text, put the plain number in `data-value`.
+ * @param {string} value - Raw cell value
+ * @param {string} type - Column type
+ * @returns {*} Typed value
+ * @private
+ */
+function castValue(value, type) {
+    if (type === "number" && NUMBER_PATTERN.test(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Read columns and rows from the table's existing markup
+ * @param {HTMLTableElement} table - Table element
+ * @returns {Object} { columns, rows, sortableColumns }
+ */
+export function readTableMarkup(table) {
+    // With group headers the last header row holds the columns
+    const headerRows = table.querySelectorAll("thead tr");
+    const headerCells = Array.from(
+        headerRows[headerRows.length - 1]?.querySelectorAll("th") || []
+    );
+
+    const usedNames = new Set();
+    const columns = headerCells.map((th, index) => {
+        const label = th.textContent.trim();
+        let name =
+            th.dataset.name || th.dataset.column || toColumnName(label, index);
+        // Two headers with the same text must not share a field
+        while (usedNames.has(name)) name = `${name}_${index + 1}`;
+        usedNames.add(name);
+
+        const column = {
+            name,
+            label,
+            sortable: readFlag(th.dataset.sortable, true),
+            searchable: readFlag(th.dataset.searchable, true),
+            visible: readFlag(th.dataset.visible, true),
+        };
+        if (th.dataset.type) column.type = th.dataset.type;
+        if (th.dataset.align) column.align = th.dataset.align;
+        if (th.dataset.width) column.width = th.dataset.width;
+        if (th.title) column.tooltip = th.title;
+        return column;
+    });
+
+    // Rendered HTML per row object, for cells that contain markup
+    const cellHtml = new WeakMap();
+    const htmlColumns = new Set();
+    const hasIdColumn = columns.some((column) => column.name === "id");
+
+    const rows = Array.from(table.querySelectorAll("tbody tr")).map(
+        (tr, rowIndex) => {
+            const row = {};
+            const html = {};
+
+            Array.from(tr.cells).forEach((td, index) => {
+                const column = columns[index];
+                if (!column) return;
+
+                const raw = td.dataset.value ?? td.textContent.trim();
+                row[column.name] = castValue(raw, column.type);
+
+                if (td.children.length) {
+                    html[column.name] = td.innerHTML.trim();
+                    htmlColumns.add(column.name);
+                }
+            });
+
+            if (tr.dataset.id !== undefined) {
+                row.id = tr.dataset.id;
+            } else if (!hasIdColumn) {
+                row.id = rowIndex + 1;
+            }
+
+            cellHtml.set(row, html);
+            return row;
+        }
+    );
+
+    // Keep server-rendered markup (links, badges...) for those columns;
+    // rows added later (live updates, inserts) only have their values
+    columns.forEach((column) => {
+        if (!htmlColumns.has(column.name)) return;
+        column.html = true;
+        column.render = (value, row) =>
+            cellHtml.get(row)?.[column.name] ?? escapeHtml(value);
+    });
+
+    return {
+        columns,
+        rows,
+        sortableColumns: columns
+            .filter((column) => column.sortable)
+            .map((column) => column.name),
+    };
+}
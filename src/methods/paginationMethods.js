@@ -200,12 +200,16 @@ export function bindPaginationButtons(context) {
 /**
  * Update pagination UI
  * @param {Object} context - DataTable instance
- * @param {Object} paginationData - Pagination data from server
- * @param {number} paginationData.current_page - Current page number
- * @param {number} paginationData.last_page - Last page number
+ * @param {Object} paginationData - Normalized pagination data from the data adapter
+ * @param {number} paginationData.page - Current page number
+ * @param {number} paginationData.lastPage - Last page number
  * @param {number} paginationData.total - Total records
+ * Laravel-style `current_page` / `last_page` are still accepted.
  */
-export function updatePagination(context, { current_page, last_page, total }) {
+export function updatePagination(
+    context,
+    { page, lastPage, total, current_page = page, last_page = lastPage }
+) {
     // Store totalPages for infinite scroll
     context.totalPages = last_page;
 
@@ -0,0 +1,322 @@
+/**
+ * Responsive Methods
+ * Internal methods for collapsing columns that don't fit (not public API)
+ *
+ * Columns that don't fit the container are kept in `_responsiveHidden`,
+ * apart from `columnVisibilityState`, so hiding for space is never saved
+ * and the column menu still shows them as visible. Their values are shown
+ * as a label/value list in a child <tr data-responsive-for="id"> below the
+ * row. Like detail rows it has no `data-id`, so it's put back after every
+ * render.
+ *
+ * Widths are the columns' min-content widths, measured while a column is
+ * shown; a hidden column keeps the width it had when it was last shown.
+ */
+
+import { sanitizeHtml, setCellContent } from "./cellRenderMethods.js";
+
+/**
+ * Normalize the `responsive` option
+ * @param {boolean|Object|null} responsive - true or { toggleColumn, renderDetails }
+ * @returns {Object|null} Normalized config or null when disabled
+ */
+export function normalizeResponsiveConfig(responsive) {
+    if (!responsive) return null;
+
+    const options = typeof responsive === "object" ? responsive : {};
+    return {
+        // Column that gets the expand button, first visible one by default
+        toggleColumn: options.toggleColumn ?? null,
+        // (row, hiddenColumns) => HTML string | Node, replaces the list
+        renderDetails:
+            typeof options.renderDetails === "function"
+                ? options.renderDetails
+                : null,
+    };
+}
+
+/**
+ * Get the columns hidden for space, in column order
+ * @param {Object} context - DataTable instance
+ * @returns {Array<Object>} Column configs
+ */
+export function getResponsiveHiddenColumns(context) {
+    return context.columns.filter((column) =>
+        context._responsiveHidden.has(column.name)
+    );
+}
+
+/**
+ * Record the min-content width of every rendered column
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function measureColumnWidths(context) {
+    const table = context.table;
+    const { width, tableLayout } = table.style;
+    table.style.width = "min-content";
+    table.style.tableLayout = "auto";
+
+    table.querySelectorAll("thead th[data-column-name]").forEach((th) => {
+        context._responsiveWidths.set(
+            th.dataset.columnName,
+            th.getBoundingClientRect().width
+        );
+    });
+
+    table.style.width = width;
+    table.style.tableLayout = tableLayout;
+}
+
+/**
+ * Decide which columns to hide for the available width
+ * Columns with the highest `responsivePriority` go first (no priority
+ * counts as lowest), the rightmost first on a tie. One column always stays.
+ * @param {Object} context - DataTable instance
+ * @param {number} available - Container width in px
+ * @returns {Set<string>} Names of the columns to hide
+ * @private
+ */
+function computeHiddenColumns(context, available) {
+    const columns = context.columns.filter((column) =>
+        context.isColumnEnabled(column.name)
+    );
+    const priority = (column) => column.responsivePriority ?? Infinity;
+    const candidates = columns
+        .map((column, index) => ({ column, index }))
+        .sort(
+            (a, b) =>
+                priority(b.column) - priority(a.column) || b.index - a.index
+        );
+
+    const widthOf = (column) => context._responsiveWidths.get(column.name) || 0;
+    let total = columns.reduce((sum, column) => sum + widthOf(column), 0);
+
+    const hidden = new Set();
+    for (const { column } of candidates) {
+        if (total <= available || hidden.size >= columns.length - 1) break;
+        hidden.add(column.name);
+        total -= widthOf(column);
+    }
+    return hidden;
+}
+
+/**
+ * Hide or show columns for the current container width
+ * Re-renders only when the set of hidden columns changed.
+ * @param {Object} context - DataTable instance
+ * @returns {boolean} True if columns were hidden or shown
+ */
+export function updateResponsiveColumns(context) {
+    const container = context.table?.parentElement;
+    if (!context.responsive || !container) return false;
+
+    // Cards show every column
+    if (context._cardView) return false;
+
+    measureColumnWidths(context);
+    const hidden = computeHiddenColumns(context, container.clientWidth);
+
+    const current = context._responsiveHidden;
+    if (
+        hidden.size === current.size &&
+        [...hidden].every((name) => current.has(name))
+    ) {
+        return false;
+    }
+
+    context._responsiveHidden = hidden;
+    context.renderTableHeader();
+    if (context.data?.length) context.renderTable(context.data);
+
+    context.table.dispatchEvent(
+        new CustomEvent("datatable:responsive-resize", {
+            detail: { hiddenColumns: [...hidden] },
+            bubbles: true,
+        })
+    );
+    return true;
+}
+
+/**
+ * Watch the container and the table for size changes
+ * @param {Object} context - DataTable instance
+ */
+export function initResponsive(context) {
+    const container = context.table?.parentElement;
+    if (!context.responsive || !container) return;
+    if (typeof ResizeObserver === "undefined") return;
+
+    let frame = null;
+    context._responsiveObserver = new ResizeObserver(() => {
+        cancelAnimationFrame(frame);
+        frame = requestAnimationFrame(() => updateResponsiveColumns(context));
+    });
+    // The table also changes size when new rows are rendered
+    context._responsiveObserver.observe(container);
+    context._responsiveObserver.observe(context.table);
+}
+
+/**
+ * Find the rendered <tr> for a row id
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @returns {HTMLTableRowElement|null} Row element
+ * @private
+ */
+function findRowElement(context, id) {
+    return (
+        context.table?.querySelector(`tbody tr[data-id="${CSS.escape(id)}"]`) ||
+        null
+    );
+}
+
+/**
+ * Render the label/value list of the hidden columns
+ * @param {Object} context - DataTable instance
+ * @param {Object} row - Row data
+ * @param {Array<Object>} columns - Hidden columns
+ * @returns {HTMLElement} List element
+ * @private
+ */
+function renderHiddenValues(context, row, columns) {
+    const theme = context.theme;
+    const list = document.createElement("dl");
+    list.className = theme.responsiveList || "";
+
+    columns.forEach((column) => {
+        const label = document.createElement("dt");
+        label.className = theme.responsiveLabel || "";
+        label.textContent = column.label || column.name;
+
+        const value = document.createElement("dd");
+        value.className = theme.responsiveValue || "";
+        value.dataset.column = column.name;
+        setCellContent(context, value, column, row[column.name], row);
+
+        list.append(label, value);
+    });
+
+    return list;
+}
+
+/**
+ * Create the child <tr> that lists a row's hidden values
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @param {Object} row - Row data
+ * @returns {HTMLTableRowElement} Child row element
+ * @private
+ */
+function createResponsiveRow(context, id, row) {
+    const columns = getResponsiveHiddenColumns(context);
+
+    const tr = document.createElement("tr");
+    tr.dataset.responsiveFor = id;
+    tr.id = `${context.tableId}-responsive-${id}`;
+    tr.className = context.theme.responsiveRow || "";
+
+    const td = document.createElement("td");
+    td.className = context.theme.responsiveCell || "";
+    td.colSpan =
+        context.columns.filter((column) =>
+            context.isColumnVisible(column.name)
+        ).length || 1;
+    tr.appendChild(td);
+
+    const content = context.responsive.renderDetails
+        ? context.responsive.renderDetails(row, columns)
+        : renderHiddenValues(context, row, columns);
+    if (content instanceof Node) {
+        td.replaceChildren(content);
+    } else {
+        td.innerHTML = sanitizeHtml(context, String(content ?? ""));
+    }
+
+    return tr;
+}
+
+/**
+ * Put the child rows of expanded rows back after a render
+ * They are rebuilt every time, values and hidden columns may have changed.
+ * @param {Object} context - DataTable instance
+ */
+export function syncResponsiveRows(context) {
+    if (!context.responsive) return;
+
+    const tbody = context.table?.querySelector("tbody");
+    if (!tbody) return;
+
+    tbody
+        .querySelectorAll("tr[data-responsive-for]")
+        .forEach((tr) => tr.remove());
+    if (!context._responsiveHidden.size) return;
+
+    context._responsiveExpanded.forEach((id) => {
+        const rowElement = findRowElement(context, id);
+        const row = context.data.find((item) => String(item.id) === id);
+        if (!rowElement || !row) return;
+
+        // Below the row details, if they are open
+        const details = rowElement.nextElementSibling;
+        const anchor =
+            details?.dataset.detailFor === id ? details : rowElement;
+        anchor.after(createResponsiveRow(context, id, row));
+    });
+}
+
+/**
+ * Show or hide the hidden values of a row
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @param {HTMLButtonElement} button - Toggle button
+ * @private
+ */
+function toggleResponsiveRow(context, id, button) {
+    const expanded = !context._responsiveExpanded.has(id);
+    if (expanded) context._responsiveExpanded.add(id);
+    else context._responsiveExpanded.delete(id);
+
+    button.setAttribute("aria-expanded", String(expanded));
+    button.textContent = expanded ? "−" : "+";
+    syncResponsiveRows(context);
+}
+
+/**
+ * Add the show/hide button to a cell, if columns are hidden for space
+ * Called from renderCell() so re-rendered cells keep their button.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} td - Rendered cell
+ * @param {Object} row - Row data
+ * @param {Object} column - Column config
+ */
+export function decorateResponsiveToggle(context, td, row, column) {
+    if (!context.responsive || !context._responsiveHidden.size) return;
+
+    const toggleColumn =
+        context.responsive.toggleColumn &&
+        context.isColumnVisible(context.responsive.toggleColumn)
+            ? context.responsive.toggleColumn
+            : context.columns.find((col) => context.isColumnVisible(col.name))
+                  ?.name;
+    if (column.name !== toggleColumn) return;
+
+    const id = String(row.id);
+    const expanded = context._responsiveExpanded.has(id);
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = context.theme.responsiveToggle || "";
+    button.dataset.responsiveToggle = "true";
+    button.setAttribute("aria-expanded", String(expanded));
+    button.setAttribute("aria-controls", `${context.tableId}-responsive-${id}`);
+    button.setAttribute("aria-label", "Show hidden columns");
+    button.textContent = expanded ? "−" : "+";
+    button.addEventListener("click", (event) => {
+        // Don't select the row or trigger expandOnClick as well
+        event.stopPropagation();
+        toggleResponsiveRow(context, id, button);
+    });
+
+    td.prepend(button);
+}
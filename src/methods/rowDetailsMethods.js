@@ -0,0 +1,367 @@
+/**
+ * Row Details Methods
+ * Internal methods for expandable row details (not public API)
+ *
+ * An expanded row gets a full-width detail <tr data-detail-for="id"> right
+ * below it. Detail rows have no `data-id`, so the keyed renderer, selection
+ * and keyboard navigation skip them; they are kept in `_detailRows` and
+ * put back under their row after every render.
+ */
+
+import { sanitizeHtml } from "./cellRenderMethods.js";
+
+/**
+ * Normalize the `rowDetails` option
+ * @param {Function|Object|null} rowDetails - render(row) or
+ *   { render, toggleColumn, expandOnClick, singleExpand }
+ * @returns {Object|null} Normalized config or null when disabled
+ */
+export function normalizeRowDetailsConfig(rowDetails) {
+    if (!rowDetails) return null;
+
+    const config =
+        typeof rowDetails === "function" ? { render: rowDetails } : rowDetails;
+    if (typeof config.render !== "function") {
+        console.warn("rowDetails.render must be a function");
+        return null;
+    }
+
+    return {
+        render: config.render, // (row) => HTML string | Node | Promise
+        // true = first visible column, a column name, or false for no button
+        toggleColumn: config.toggleColumn ?? true,
+        expandOnClick: config.expandOnClick === true,
+        singleExpand: config.singleExpand === true,
+    };
+}
+
+/**
+ * Find the row data for an id on the current page
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @returns {Object|undefined} Row data
+ * @private
+ */
+function findRow(context, id) {
+    return context.data.find((row) => String(row.id) === id);
+}
+
+/**
+ * Find the rendered <tr> for a row id
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @returns {HTMLTableRowElement|null} Row element
+ * @private
+ */
+function findRowElement(context, id) {
+    return (
+        context.table?.querySelector(`tbody tr[data-id="${CSS.escape(id)}"]`) ||
+        null
+    );
+}
+
+/**
+ * Count the visible columns (detail cells span all of them)
+ * @param {Object} context - DataTable instance
+ * @returns {number} Column count
+ * @private
+ */
+function getColSpan(context) {
+    return (
+        context.columns.filter((column) =>
+            context.isColumnVisible(column.name)
+        ).length || 1
+    );
+}
+
+/**
+ * Check whether two row objects hold the same values
+ * Server responses create new objects for unchanged rows.
+ * @param {Object} a - Row data
+ * @param {Object} b - Row data
+ * @returns {boolean} True if no field differs
+ * @private
+ */
+function isSameRow(a, b) {
+    if (a === b) return true;
+    return !Object.keys({ ...a, ...b }).some((key) => a[key] !== b[key]);
+}
+
+/**
+ * Put rendered content into the detail cell
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} td - Detail cell
+ * @param {string|Node} content - Rendered content
+ * @private
+ */
+function setDetailContent(context, td, content) {
+    if (content instanceof Node) {
+        td.replaceChildren(content);
+    } else {
+        td.innerHTML = sanitizeHtml(context, String(content ?? ""));
+    }
+}
+
+/**
+ * Create the detail <tr> for a row and start rendering its content
+ * Promises show a loading message until they settle.
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @param {Object} row - Row data
+ * @returns {HTMLTableRowElement} Detail row element
+ * @private
+ */
+function createDetailRow(context, id, row) {
+    const tr = document.createElement("tr");
+    tr.dataset.detailFor = id;
+    tr.id = `${context.tableId}-row-details-${id}`;
+    tr.className = context.theme.rowDetailsRow || "";
+
+    const td = document.createElement("td");
+    td.className = context.theme.rowDetailsCell || "";
+    td.colSpan = getColSpan(context);
+    tr.appendChild(td);
+
+    let content;
+    try {
+        content = context.rowDetails.render(row);
+    } catch (e) {
+        console.error("Error rendering row details:", e);
+        content = "";
+    }
+
+    if (content && typeof content.then === "function") {
+        td.setAttribute("aria-busy", "true");
+        td.innerHTML = `<span class="${
+            context.theme.rowDetailsLoading || ""
+        }">Loading...</span>`;
+
+        content
+            .then((resolved) => setDetailContent(context, td, resolved))
+            .catch((error) => {
+                console.error("Error loading row details:", error);
+                td.textContent = "Failed to load details.";
+                // Render again on the next expand
+                if (context._detailRows.get(id)?.tr === tr) {
+                    context._detailRows.delete(id);
+                }
+            })
+            .finally(() => td.removeAttribute("aria-busy"));
+    } else {
+        setDetailContent(context, td, content);
+    }
+
+    return tr;
+}
+
+/**
+ * Update the toggle button of a row
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @private
+ */
+function updateToggle(context, id) {
+    const button = findRowElement(context, id)?.querySelector(
+        "[data-row-details-toggle]"
+    );
+    if (!button) return;
+
+    const expanded = context._expandedRows.has(id);
+    button.setAttribute("aria-expanded", String(expanded));
+    button.textContent = expanded ? "▾" : "▸";
+}
+
+/**
+ * Add the expand/collapse button to a cell, if it's the toggle column
+ * Called from renderCell() so re-rendered cells keep their button.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} td - Rendered cell
+ * @param {Object} row - Row data
+ * @param {Object} column - Column config
+ */
+export function decorateToggleCell(context, td, row, column) {
+    const config = context.rowDetails;
+    if (!config?.toggleColumn) return;
+
+    const toggleColumn =
+        typeof config.toggleColumn === "string"
+            ? config.toggleColumn
+            : context.columns.find((col) => context.isColumnVisible(col.name))
+                  ?.name;
+    if (column.name !== toggleColumn) return;
+
+    const id = String(row.id);
+    const expanded = context._expandedRows.has(id);
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = context.theme.rowDetailsToggle || "";
+    button.dataset.rowDetailsToggle = "true";
+    button.setAttribute("aria-expanded", String(expanded));
+    button.setAttribute("aria-controls", `${context.tableId}-row-details-${id}`);
+    button.setAttribute("aria-label", "Toggle row details");
+    button.textContent = expanded ? "▾" : "▸";
+    button.addEventListener("click", (event) => {
+        // Don't select the row or trigger expandOnClick as well
+        event.stopPropagation();
+        toggleRow(context, id);
+    });
+
+    td.prepend(button);
+}
+
+/**
+ * Put detail rows back under their rows after a render
+ * Cached detail rows are reused while the row's values are unchanged, so
+ * lazy content isn't requested again on every refresh. Entries of rows
+ * that are no longer in the data (another page, deleted) are dropped.
+ * @param {Object} context - DataTable instance
+ */
+export function syncRowDetails(context) {
+    if (!context.rowDetails) return;
+
+    const tbody = context.table?.querySelector("tbody");
+    if (!tbody) return;
+
+    // Detail rows of collapsed or no longer rendered rows
+    tbody.querySelectorAll("tr[data-detail-for]").forEach((tr) => {
+        const id = tr.dataset.detailFor;
+        if (!context._expandedRows.has(id) || !findRowElement(context, id)) {
+            tr.remove();
+        }
+    });
+
+    const ids = new Set((context.data || []).map((row) => String(row.id)));
+    context._detailRows.forEach((cached, id) => {
+        if (!ids.has(id)) context._detailRows.delete(id);
+    });
+
+    const colSpan = getColSpan(context);
+    context._expandedRows.forEach((id) => {
+        const rowElement = findRowElement(context, id);
+        const row = findRow(context, id);
+        if (!rowElement || !row) return;
+
+        let cached = context._detailRows.get(id);
+        if (!cached || !isSameRow(cached.row, row)) {
+            cached?.tr.remove();
+            cached = { row, tr: createDetailRow(context, id, row) };
+            context._detailRows.set(id, cached);
+        }
+
+        cached.tr.cells[0].colSpan = colSpan;
+        if (rowElement.nextElementSibling !== cached.tr) {
+            rowElement.after(cached.tr);
+        }
+        updateToggle(context, id);
+    });
+}
+
+/**
+ * Dispatch a row details event on the table
+ * @param {Object} context - DataTable instance
+ * @param {string} name - "expand" or "collapse"
+ * @param {string} id - Row id
+ * @private
+ */
+function emitDetailsEvent(context, name, id) {
+    context.table?.dispatchEvent(
+        new CustomEvent(`datatable:row-${name}`, {
+            detail: { rowId: id, rowData: findRow(context, id) },
+            bubbles: true,
+        })
+    );
+}
+
+/**
+ * Expand a row's details
+ * @param {Object} context - DataTable instance
+ * @param {string|number} rowId - Row id
+ * @returns {boolean} True if the row was expanded
+ */
+export function expandRow(context, rowId) {
+    if (!context.rowDetails) {
+        console.warn("expandRow requires the rowDetails option");
+        return false;
+    }
+
+    const id = String(rowId);
+    if (context._expandedRows.has(id)) return true;
+    if (!findRow(context, id)) return false;
+
+    if (context.rowDetails.singleExpand) {
+        [...context._expandedRows].forEach((openId) =>
+            collapseRow(context, openId)
+        );
+    }
+
+    context._expandedRows.add(id);
+    syncRowDetails(context);
+    emitDetailsEvent(context, "expand", id);
+    return true;
+}
+
+/**
+ * Collapse a row's details
+ * @param {Object} context - DataTable instance
+ * @param {string|number} rowId - Row id
+ * @returns {boolean} True if the row was collapsed
+ */
+export function collapseRow(context, rowId) {
+    const id = String(rowId);
+    if (!context._expandedRows.delete(id)) return false;
+
+    context._detailRows.get(id)?.tr.remove();
+    context._detailRows.delete(id);
+    updateToggle(context, id);
+    emitDetailsEvent(context, "collapse", id);
+    return true;
+}
+
+/**
+ * Expand or collapse a row's details
+ * @param {Object} context - DataTable instance
+ * @param {string|number} rowId - Row id
+ * @returns {boolean} True if the row is now expanded
+ */
+export function toggleRow(context, rowId) {
+    const id = String(rowId);
+    if (context._expandedRows.has(id)) {
+        collapseRow(context, id);
+        return false;
+    }
+    return expandRow(context, id);
+}
+
+/**
+ * Get the ids of expanded rows
+ * @param {Object} context - DataTable instance
+ * @returns {Array<string>} Expanded row ids
+ */
+export function getExpandedIds(context) {
+    return [...context._expandedRows];
+}
+
+/**
+ * Toggle details when a row is clicked (`expandOnClick`)
+ * @param {Object} context - DataTable instance
+ */
+export function bindRowDetailsClick(context) {
+    if (!context.rowDetails?.expandOnClick || !context.table) return;
+
+    context.table.addEventListener("click", (event) => {
+        const row = event.target.closest("tbody tr[data-id]");
+        if (!row) return;
+
+        // Ignore clicks on interactive elements
+        if (
+            event.target.closest(
+                "button, a, input, select, textarea, [role='button']"
+            )
+        ) {
+            return;
+        }
+
+        toggleRow(context, row.dataset.id);
+    });
+}
@@ -0,0 +1,540 @@
+/**
+ * Row Group Methods
+ * Internal methods for grouping rows by column values (not public API)
+ *
+ * Rows are sorted by the group fields (client-side, or by the server via
+ * `groupBy` in the query) and a header row <tr data-group> is inserted
+ * wherever a group value changes. Header rows have no `data-id`, so the
+ * keyed renderer drops them and syncRowGroups() puts them back.
+ *
+ * Counts and aggregates come from group metadata in the data source
+ * result, so they cover the whole group and not only the current page:
+ *
+ *   groups: [
+ *       { path: ["Sales"], count: 12, aggregates: { salary: { sum: 1200 } } },
+ *       { path: ["Sales", "active"], count: 9, aggregates: { ... } },
+ *   ]
+ *
+ * The local adapter computes it, servers can send it (Laravel preset:
+ * `groups` or `meta.groups`). Without metadata, the current page is used.
+ */
+
+import { sanitizeHtml } from "./cellRenderMethods.js";
+
+export const AGGREGATES = {
+    sum: (values) => values.reduce((total, value) => total + value, 0),
+    avg: (values) =>
+        values.length
+            ? values.reduce((total, value) => total + value, 0) /
+              values.length
+            : null,
+    // No spread into Math.min/max, it overflows the stack on large datasets
+    min: (values) =>
+        values.length
+            ? values.reduce((result, value) => Math.min(result, value))
+            : null,
+    max: (values) =>
+        values.length
+            ? values.reduce((result, value) => Math.max(result, value))
+            : null,
+    count: (values, rows) => rows.length,
+};
+
+/**
+ * Normalize the `rowGrouping` option
+ * @param {string|Array|Object|null} rowGrouping - Field name(s) or
+ *   { by, aggregates, collapsed, showCount, renderHeader, exportHeaders }
+ * @returns {Object|null} Normalized config or null when disabled
+ */
+export function normalizeRowGroupingConfig(rowGrouping) {
+    if (!rowGrouping) return null;
+
+    const options =
+        typeof rowGrouping === "string" || Array.isArray(rowGrouping)
+            ? { by: rowGrouping }
+            : rowGrouping;
+    const levels = (Array.isArray(options.by) ? options.by : [options.by])
+        .filter(Boolean)
+        .map((level) =>
+            typeof level === "string" ? { field: level } : level
+        );
+    if (!levels.length) return null;
+
+    // { salary: "sum", age: ["min", "max"], score: (values, rows) => ... }
+    const aggregates = {};
+    Object.entries(options.aggregates || {}).forEach(([column, fns]) => {
+        aggregates[column] = Array.isArray(fns) ? fns : [fns];
+    });
+
+    return {
+        fields: levels.map((level) => level.field),
+        labels: levels.map((level) => level.label || null),
+        aggregates,
+        collapsed: options.collapsed === true, // start collapsed
+        showCount: options.showCount !== false,
+        // (group) => HTML for the header label
+        renderHeader:
+            typeof options.renderHeader === "function"
+                ? options.renderHeader
+                : null,
+        exportHeaders: options.exportHeaders !== false,
+    };
+}
+
+/**
+ * Build the lookup key of a group path
+ * @param {Array} path - Group values from the outermost level
+ * @returns {string} Group key
+ */
+export function getGroupKey(path) {
+    return JSON.stringify(path.map((value) => String(value ?? "")));
+}
+
+/**
+ * Get a row's group values
+ * @param {Object} row - Row data
+ * @param {Array<string>} fields - Group fields
+ * @returns {Array} Group values
+ * @private
+ */
+function getGroupPath(row, fields) {
+    return fields.map((field) => row[field] ?? "");
+}
+
+/**
+ * Collect the numeric values of a field (empty and non-numeric skipped)
+ * @param {Array} rows - Rows
+ * @param {string} field - Field name
+ * @returns {Array<number>} Values
+ */
+export function getNumericValues(rows, field) {
+    return rows
+        .map((row) => row[field])
+        .filter((value) => value !== "" && value !== null)
+        .map(Number)
+        .filter((value) => !Number.isNaN(value));
+}
+
+/**
+ * Run the configured aggregates over a group's rows
+ * @param {Array} rows - Rows of the group
+ * @param {Object} aggregates - Column name -> aggregate functions
+ * @returns {Object} Column name -> { fn name: value }
+ * @private
+ */
+function aggregateRows(rows, aggregates) {
+    const result = {};
+    Object.entries(aggregates).forEach(([column, fns]) => {
+        const values = getNumericValues(rows, column);
+
+        result[column] = {};
+        fns.forEach((fn, index) => {
+            if (typeof fn === "function") {
+                result[column][fn.name || `fn${index + 1}`] = fn(
+                    values,
+                    rows
+                );
+            } else if (AGGREGATES[fn]) {
+                result[column][fn] = AGGREGATES[fn](values, rows);
+            }
+        });
+    });
+    return result;
+}
+
+/**
+ * Compute group metadata (count and aggregates for every group level)
+ * @param {Array} rows - All rows to group
+ * @param {Object} config - Normalized rowGrouping config
+ * @returns {Array} Group metadata
+ */
+export function computeGroups(rows, config) {
+    const groups = new Map();
+
+    rows.forEach((row) => {
+        const path = getGroupPath(row, config.fields);
+        for (let level = 1; level <= path.length; level++) {
+            const groupPath = path.slice(0, level);
+            const key = getGroupKey(groupPath);
+            if (!groups.has(key)) {
+                groups.set(key, { path: groupPath, rows: [] });
+            }
+            groups.get(key).rows.push(row);
+        }
+    });
+
+    return Array.from(groups.values()).map((group) => ({
+        path: group.path,
+        count: group.rows.length,
+        aggregates: aggregateRows(group.rows, config.aggregates),
+    }));
+}
+
+/**
+ * Store the group metadata of the latest result
+ * @param {Object} context - DataTable instance
+ * @param {Array|null} groups - Group metadata (null computes from the page)
+ */
+export function setGroupMeta(context, groups) {
+    if (!context.rowGrouping) return;
+    context._groupMeta = new Map(
+        (groups || []).map((group) => [getGroupKey(group.path), group])
+    );
+}
+
+/**
+ * Find the metadata of a group, falling back to the current page
+ * @param {Object} context - DataTable instance
+ * @param {Array} path - Group path
+ * @returns {Object} { path, count, aggregates }
+ * @private
+ */
+function getGroupInfo(context, path) {
+    const key = getGroupKey(path);
+    if (context._groupMeta?.has(key)) return context._groupMeta.get(key);
+
+    // No metadata from the data source: count the current page
+    const config = context.rowGrouping;
+    const fields = config.fields.slice(0, path.length);
+    const rows = (context._renderedRows || []).filter(
+        (row) => getGroupKey(getGroupPath(row, fields)) === key
+    );
+    return {
+        path,
+        count: rows.length,
+        aggregates: aggregateRows(rows, config.aggregates),
+    };
+}
+
+/**
+ * Format one aggregate value
+ * @param {*} value - Aggregate result
+ * @returns {string} Display text
+ */
+export function formatAggregateValue(value) {
+    if (typeof value === "number") {
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+    return value ?? "";
+}
+
+/**
+ * Format a column's aggregates ("sum: 1,200 · avg: 100")
+ * @param {Object} [values] - { fn name: value }
+ * @returns {string} Display text
+ */
+export function formatAggregates(values) {
+    return Object.entries(values || {})
+        .map(([name, value]) => `${name}: ${formatAggregateValue(value)}`)
+        .join(" · ");
+}
+
+/**
+ * Build the header label of a group ("Department: Sales (12)")
+ * @param {Object} config - Normalized rowGrouping config
+ * @param {Object} group - { path, count, aggregates }
+ * @param {Array} columns - Columns configuration (for field labels)
+ * @returns {string} Label text
+ */
+export function getGroupLabel(config, group, columns = []) {
+    const level = group.path.length - 1;
+    const field = config.fields[level];
+    const name =
+        config.labels[level] ||
+        columns.find((column) => column.name === field)?.label ||
+        field;
+    const value = group.path[level] === "" ? "(empty)" : group.path[level];
+    const count =
+        config.showCount && group.count !== undefined
+            ? ` (${group.count})`
+            : "";
+    return `${name}: ${value}${count}`;
+}
+
+/**
+ * Check whether a group is collapsed
+ * `_toggledGroups` holds the groups that differ from the default state.
+ * @param {Object} context - DataTable instance
+ * @param {string} key - Group key
+ * @returns {boolean} True if collapsed
+ * @private
+ */
+function isCollapsed(context, key) {
+    return context._groupsCollapsed !== context._toggledGroups.has(key);
+}
+
+/**
+ * Create a group header row
+ * @param {Object} context - DataTable instance
+ * @param {Array} path - Group path
+ * @param {Array} columns - Visible columns
+ * @returns {HTMLTableRowElement} Header row element
+ * @private
+ */
+function createGroupHeaderRow(context, path, columns) {
+    const config = context.rowGrouping;
+    const group = getGroupInfo(context, path);
+    const key = getGroupKey(path);
+    const collapsed = isCollapsed(context, key);
+
+    const tr = document.createElement("tr");
+    tr.dataset.group = key;
+    tr.dataset.groupLevel = String(path.length);
+    tr.className = context.theme.groupRow || "";
+
+    columns.forEach((column, index) => {
+        const td = document.createElement("td");
+        td.className = context.theme.groupCell || "";
+        const aggregate = formatAggregates(group.aggregates?.[column.name]);
+
+        if (index > 0) {
+            td.textContent = aggregate;
+            tr.appendChild(td);
+            return;
+        }
+
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = context.theme.groupToggle || "";
+        button.setAttribute("aria-expanded", String(!collapsed));
+        button.setAttribute("aria-label", "Toggle group");
+        button.textContent = collapsed ? "▸" : "▾";
+        button.addEventListener("click", (event) => {
+            event.stopPropagation();
+            toggleGroup(context, path);
+        });
+
+        const label = document.createElement("span");
+        label.className = context.theme.groupLabel || "";
+        if (config.renderHeader) {
+            label.innerHTML = sanitizeHtml(
+                context,
+                String(config.renderHeader(group) ?? "")
+            );
+        } else {
+            label.textContent = getGroupLabel(config, group, context.columns);
+        }
+
+        // Nested levels are indented
+        td.style.paddingLeft = `${(path.length - 1) * 1.25 + 0.75}rem`;
+        td.append(button, label);
+        if (aggregate) td.append(` ${aggregate}`);
+        tr.appendChild(td);
+    });
+
+    return tr;
+}
+
+/**
+ * Show or hide rows inside collapsed groups
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function applyGroupVisibility(context) {
+    const tbody = context.table?.querySelector("tbody");
+    if (!tbody) return;
+
+    // Level of the collapsed group we're inside of (Infinity: none)
+    let collapsedLevel = Infinity;
+    Array.from(tbody.rows).forEach((tr) => {
+        if (tr.dataset.group !== undefined) {
+            const level = Number(tr.dataset.groupLevel);
+            if (level <= collapsedLevel) collapsedLevel = Infinity;
+            tr.hidden = collapsedLevel < level;
+            if (!tr.hidden && isCollapsed(context, tr.dataset.group)) {
+                collapsedLevel = level;
+            }
+
+            const button = tr.querySelector("button");
+            const collapsed = isCollapsed(context, tr.dataset.group);
+            button?.setAttribute("aria-expanded", String(!collapsed));
+            if (button) button.textContent = collapsed ? "▸" : "▾";
+            return;
+        }
+        // Data rows and their detail rows
+        tr.hidden = collapsedLevel !== Infinity;
+    });
+}
+
+/**
+ * Insert group header rows between the rendered rows
+ * @param {Object} context - DataTable instance
+ */
+export function syncRowGroups(context) {
+    const config = context.rowGrouping;
+    const tbody = context.table?.querySelector("tbody");
+    if (!config || !tbody || context.virtualScroll) return;
+
+    tbody.querySelectorAll("tr[data-group]").forEach((tr) => tr.remove());
+
+    const columns = context.columns.filter((column) =>
+        context.isColumnVisible(column.name)
+    );
+    const rows = context._renderedRows || [];
+    let previous = [];
+
+    tbody.querySelectorAll("tr[data-id]").forEach((tr, index) => {
+        const row = rows[index];
+        if (!row) return;
+
+        const path = getGroupPath(row, config.fields);
+        // First level whose value changed, all deeper levels start anew
+        let level = path.findIndex(
+            (value, i) => String(value) !== String(previous[i])
+        );
+        if (level === -1) return;
+
+        for (; level < path.length; level++) {
+            tr.before(
+                createGroupHeaderRow(context, path.slice(0, level + 1), columns)
+            );
+        }
+        previous = path;
+    });
+
+    applyGroupVisibility(context);
+}
+
+/**
+ * Turn a group path argument into an array
+ * @param {Array|string|number} path - Group path or first-level value
+ * @returns {Array} Group path
+ * @private
+ */
+function toPath(path) {
+    return Array.isArray(path) ? path : [path];
+}
+
+/**
+ * Expand a group
+ * @param {Object} context - DataTable instance
+ * @param {Array|string|number} path - Group path, e.g. ["Sales", "active"]
+ */
+export function expandGroup(context, path) {
+    const key = getGroupKey(toPath(path));
+    if (context._groupsCollapsed) context._toggledGroups.add(key);
+    else context._toggledGroups.delete(key);
+    applyGroupVisibility(context);
+}
+
+/**
+ * Collapse a group
+ * @param {Object} context - DataTable instance
+ * @param {Array|string|number} path - Group path
+ */
+export function collapseGroup(context, path) {
+    const key = getGroupKey(toPath(path));
+    if (context._groupsCollapsed) context._toggledGroups.delete(key);
+    else context._toggledGroups.add(key);
+    applyGroupVisibility(context);
+}
+
+/**
+ * Expand or collapse a group
+ * @param {Object} context - DataTable instance
+ * @param {Array|string|number} path - Group path
+ */
+export function toggleGroup(context, path) {
+    const key = getGroupKey(toPath(path));
+    if (isCollapsed(context, key)) expandGroup(context, path);
+    else collapseGroup(context, path);
+}
+
+/**
+ * Expand or collapse every group
+ * @param {Object} context - DataTable instance
+ * @param {boolean} collapsed - True to collapse all groups
+ */
+export function setAllGroupsCollapsed(context, collapsed) {
+    context._groupsCollapsed = collapsed;
+    context._toggledGroups.clear();
+    applyGroupVisibility(context);
+}
+
+/**
+ * Change the grouping and reload from the first page
+ * @param {Object} context - DataTable instance
+ * @param {string|Array|Object|null} rowGrouping - Field name(s), a full
+ *   rowGrouping config, or null to turn grouping off
+ */
+export function setGroupBy(context, rowGrouping) {
+    if (rowGrouping && context.virtualScroll) {
+        console.warn("rowGrouping isn't available with virtualScroll");
+        return;
+    }
+
+    const isConfig =
+        rowGrouping &&
+        typeof rowGrouping === "object" &&
+        !Array.isArray(rowGrouping);
+    // Field names keep the other settings (aggregates, labels...)
+    context.rowGrouping = normalizeRowGroupingConfig(
+        isConfig || !rowGrouping
+            ? rowGrouping
+            : { ...(context.rowGrouping || {}), by: rowGrouping }
+    );
+
+    context._groupsCollapsed = context.rowGrouping?.collapsed || false;
+    context._toggledGroups.clear();
+    context._groupMeta = null;
+    context.clearCache();
+    context.currentPage = 1;
+    context.fetchData();
+}
+
+/**
+ * Build a writer that yields group header rows for exports
+ * Call it with each exported row (in order) and the chunk's group
+ * metadata; it returns the header rows to write before that row.
+ * @param {Object} context - Export context
+ * @param {Array} columns - Exported columns
+ * @returns {Function|null} (row, groups) => Array<{ level, cells }>, or null
+ *   when grouping is off or export headers are disabled
+ */
+export function createGroupHeaderWriter(context, columns) {
+    const config = context.rowGrouping;
+    if (!config?.exportHeaders) return null;
+
+    const meta = new Map();
+    let previous = [];
+
+    return (row, groups) => {
+        (groups || []).forEach((group) =>
+            meta.set(getGroupKey(group.path), group)
+        );
+
+        const path = getGroupPath(row, config.fields);
+        let level = path.findIndex(
+            (value, i) => String(value) !== String(previous[i])
+        );
+        if (level === -1) return [];
+        previous = path;
+
+        const headers = [];
+        for (; level < path.length; level++) {
+            const groupPath = path.slice(0, level + 1);
+            // Servers without group metadata: label only
+            const group = meta.get(getGroupKey(groupPath)) || {
+                path: groupPath,
+                aggregates: {},
+            };
+            const indent = "  ".repeat(level);
+            headers.push({
+                level: level + 1,
+                cells: columns.map((column, index) => {
+                    const aggregate = formatAggregates(
+                        group.aggregates?.[column.name]
+                    );
+                    if (index > 0) return aggregate;
+                    const label = `${indent}${getGroupLabel(
+                        config,
+                        group,
+                        columns
+                    )}`;
+                    return aggregate ? `${label} ${aggregate}` : label;
+                }),
+            });
+        }
+        return headers;
+    };
+}
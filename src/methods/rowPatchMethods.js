@@ -0,0 +1,403 @@
+/**
+ * Row Patch Methods
+ * Internal methods for the keyed row renderer (not public API)
+ *
+ * Rendered <tr>s are matched to rows by `row.id` and updated in place, so
+ * focus, selection classes, scroll position and open editors survive
+ * re-renders. Only rows and cells whose data changed are touched.
+ */
+
+import { syncRowDetails } from "./rowDetailsMethods.js";
+import { syncResponsiveRows } from "./responsiveMethods.js";
+import { syncRowGroups } from "./rowGroupMethods.js";
+import { syncFooter } from "./footerMethods.js";
+import { syncPinnedColumns } from "./columnPinMethods.js";
+import { createCardCell } from "./cardViewMethods.js";
+import { getConditionalRowClasses } from "./conditionalFormatMethods.js";
+
+/**
+ * Resolve the theme's rowClass and conditional row classes for a row
+ * @param {Object} context - DataTable instance
+ * @param {Object} row - Row data object
+ * @param {number} rowIndex - Row index on the current page
+ * @returns {Array<string>} Class names
+ * @private
+ */
+function getRowClasses(context, row, rowIndex) {
+    const rowClass =
+        typeof context.theme.rowClass === "function"
+            ? context.theme.rowClass(row, rowIndex)
+            : context.theme.rowClass;
+    const classes =
+        typeof rowClass === "string" ? rowClass.split(" ").filter(Boolean) : [];
+    return [...classes, ...getConditionalRowClasses(context, row)];
+}
+
+/**
+ * Apply the rowClass for a row's (possibly new) position
+ * Classes from the previous render are tracked in `data-row-class` so
+ * index-based classes (e.g. striping) follow inserted/removed rows.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableRowElement} tr - Row element
+ * @param {Object} row - Row data object
+ * @param {number} rowIndex - Row index on the current page
+ * @private
+ */
+function applyRowClasses(context, tr, row, rowIndex) {
+    const classes = getRowClasses(context, row, rowIndex);
+    const value = classes.join(" ");
+    if ((tr.dataset.rowClass || "") === value) return;
+
+    const previous = (tr.dataset.rowClass || "").split(" ").filter(Boolean);
+    if (previous.length) tr.classList.remove(...previous);
+    if (classes.length) tr.classList.add(...classes);
+    tr.dataset.rowClass = value;
+}
+
+/**
+ * Mirror a tree row's depth and expand state on its <tr>
+ * The toggle cell depends on it, so a change re-renders the row's cells.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableRowElement} tr - Row element
+ * @param {Object} row - Row data object
+ * @returns {boolean} True if the state changed
+ * @private
+ */
+function applyTreeState(context, tr, row) {
+    const meta = context.tree && context._treeMeta?.get(String(row.id));
+    if (!meta) return false;
+
+    const state = `${meta.depth}:${meta.expandable}:${meta.expanded}`;
+    if (tr.dataset.treeState === state) return false;
+
+    tr.dataset.treeState = state;
+    tr.setAttribute("aria-level", String(meta.depth + 1));
+    if (meta.expandable) {
+        tr.setAttribute("aria-expanded", String(meta.expanded));
+    } else {
+        tr.removeAttribute("aria-expanded");
+    }
+    return true;
+}
+
+/**
+ * Describe what a row's cells depend on besides its data
+ * @param {Object} context - DataTable instance
+ * @returns {string} Visible column names, prefixed in card view
+ * @private
+ */
+function getRowLayout(context) {
+    const names = context.columns
+        .filter((column) => context.isColumnVisible(column.name))
+        .map((column) => column.name)
+        .join(",");
+    return context._cardView ? `card:${names}` : names;
+}
+
+/**
+ * Render the visible cells of a row into a <tr>
+ * In card view the row gets a single cell holding the card.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableRowElement} tr - Row element
+ * @param {Object} row - Row data object
+ * @param {number} rowIndex - Row index on the current page
+ * @private
+ */
+function renderRowCells(context, tr, row, rowIndex) {
+    tr.dataset.layout = getRowLayout(context);
+    if (context._cardView) {
+        tr.replaceChildren(createCardCell(context, row, rowIndex));
+        return;
+    }
+
+    const cells = [];
+    context.columns.forEach((column) => {
+        if (!context.isColumnVisible(column.name)) return;
+
+        const td = document.createElement("td");
+        context.renderCell(td, row, column, rowIndex);
+        cells.push(td);
+    });
+    tr.replaceChildren(...cells);
+}
+
+/**
+ * Create the <tr> for a row with its visible cells
+ * @param {Object} context - DataTable instance
+ * @param {Object} row - Row data object
+ * @param {number} rowIndex - Row index on the current page
+ * @returns {HTMLTableRowElement} Row element
+ */
+export function createRowElement(context, row, rowIndex) {
+    const tr = document.createElement("tr");
+    tr.dataset.id = row.id;
+
+    // Apply row(theme) classes
+    tr.className = context.theme.row || "";
+    applyRowClasses(context, tr, row, rowIndex);
+    applyTreeState(context, tr, row);
+
+    // Create and append <td>s (only for visible columns)
+    renderRowCells(context, tr, row, rowIndex);
+
+    return tr;
+}
+
+/**
+ * Normalize the `rowAnimation` option
+ * @param {boolean|Object} rowAnimation - false, true or { enabled, stagger, maxDelay }
+ * @returns {Object} { enabled, stagger, maxDelay }
+ */
+export function normalizeRowAnimationConfig(rowAnimation) {
+    const options =
+        rowAnimation && typeof rowAnimation === "object" ? rowAnimation : {};
+    return {
+        enabled: rowAnimation !== false && options.enabled !== false,
+        stagger: options.stagger ?? 50, // ms between rows
+        maxDelay: options.maxDelay ?? 500, // cap so long pages don't crawl in
+    };
+}
+
+/**
+ * Fade newly inserted rows in with a (capped) stagger
+ * Tailwind fades and slides, Bootstrap only fades, DaisyUI isn't animated.
+ * @param {Object} context - DataTable instance
+ * @param {Array<HTMLTableRowElement>} rows - Newly inserted row elements
+ */
+export function animateRows(context, rows) {
+    const animation = context.rowAnimation;
+    if (!animation?.enabled || !rows.length) return;
+
+    const isTailwind = context.theme.framework === "tailwind";
+    const isBootstrap = context.theme.framework === "bootstrap";
+    if (!isTailwind && !isBootstrap) return;
+
+    const hidden = isTailwind ? ["opacity-0", "translate-y-2"] : ["opacity-0"];
+    const shown = isTailwind
+        ? ["opacity-100", "translate-y-0"]
+        : ["opacity-100"];
+    const transition = isTailwind
+        ? ["transition-all", "duration-300"]
+        : ["transition", "duration-300"];
+
+    rows.forEach((tr, index) => {
+        tr.classList.add(...hidden, ...transition);
+
+        const delay = Math.min(index * animation.stagger, animation.maxDelay);
+        setTimeout(() => {
+            tr.classList.remove(...hidden);
+            tr.classList.add(...shown);
+        }, delay);
+    });
+}
+
+/**
+ * Check whether rows can be rendered by the keyed renderer
+ * Every row needs a unique, non-empty id.
+ * @param {Array} rows - Rows to render
+ * @returns {boolean} True if rows are keyable
+ */
+export function canPatchRows(rows) {
+    const ids = new Set();
+    return rows.every((row) => {
+        if (row?.id === undefined || row.id === null || row.id === "") {
+            return false;
+        }
+        const id = String(row.id);
+        if (ids.has(id)) return false;
+        ids.add(id);
+        return true;
+    });
+}
+
+/**
+ * Briefly highlight cells that changed
+ * @param {Object} context - DataTable instance
+ * @param {Array<HTMLElement>} cells - Cells to flash
+ * @param {number} [duration=1500] - Highlight duration in ms
+ */
+export function flashCells(context, cells, duration = 1500) {
+    const classes = (context.theme.cellFlash || "bg-yellow-100")
+        .split(" ")
+        .filter(Boolean);
+
+    cells.forEach((cell) => {
+        cell.classList.add(...classes);
+        setTimeout(() => cell.classList.remove(...classes), duration);
+    });
+}
+
+/**
+ * Check whether a cell currently holds an inline editor
+ * @param {HTMLElement} td - Cell element
+ * @returns {boolean} True if the cell is being edited
+ * @private
+ */
+function isEditing(td) {
+    return Boolean(td.querySelector("[data-inline-editor]"));
+}
+
+/**
+ * Re-render the cells of an existing <tr> for new row data
+ * Every cell is re-rendered when anything in the row changed (renderers
+ * may read other fields), but only cells whose own value changed are
+ * returned for flashing. Cells with an open editor are left alone.
+ * When the visible columns or the view changed, all cells are rebuilt.
+ * Tree rows are also re-rendered when their expand state changed.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableRowElement} tr - Existing row element
+ * @param {Object} row - New row data
+ * @param {Object} [previous] - Row data the element was rendered with
+ * @param {number} rowIndex - Row index on the current page
+ * @returns {Array<HTMLElement>} Cells whose value changed
+ */
+export function updateRowElement(context, tr, row, previous, rowIndex) {
+    const changedCells = [];
+    applyRowClasses(context, tr, row, rowIndex);
+    const treeChanged = applyTreeState(context, tr, row);
+
+    // Column visibility or the view changed since this row was rendered
+    if (tr.dataset.layout !== getRowLayout(context)) {
+        renderRowCells(context, tr, row, rowIndex);
+        return changedCells;
+    }
+
+    const rowChanged =
+        treeChanged ||
+        !previous ||
+        Object.keys({ ...previous, ...row }).some(
+            (key) => previous[key] !== row[key]
+        );
+    if (!rowChanged) return changedCells;
+
+    // Cards are rendered as a whole
+    if (context._cardView) {
+        if (!isEditing(tr)) renderRowCells(context, tr, row, rowIndex);
+        return changedCells;
+    }
+
+    context.columns.forEach((column) => {
+        if (!context.isColumnVisible(column.name)) return;
+
+        const td = tr.querySelector(
+            `td[data-column="${CSS.escape(column.name)}"]`
+        );
+        if (!td || isEditing(td)) return;
+
+        // A fresh <td> avoids stacking the inline-edit listeners
+        const newTd = document.createElement("td");
+        context.renderCell(newTd, row, column, rowIndex);
+        td.replaceWith(newTd);
+
+        if (!previous || previous[column.name] !== row[column.name]) {
+            changedCells.push(newTd);
+        }
+    });
+
+    return changedCells;
+}
+
+/**
+ * Bring the tbody in line with `rows`, keyed by row id
+ * Existing <tr>s are kept (and moved if needed), new rows are created and
+ * rows that disappeared are removed.
+ * @param {Object} context - DataTable instance
+ * @param {Array} rows - Rows that should be displayed, in order
+ * @param {Array} [previousRows] - Rows the tbody was rendered with
+ *   (defaults to the rows of the last render)
+ * @param {Object} [options]
+ * @param {boolean} [options.flash=false] - Flash changed and inserted cells
+ * @param {number} [options.flashDuration] - Flash duration in ms
+ * @returns {Array<HTMLTableRowElement>} Newly created row elements
+ */
+export function patchRows(
+    context,
+    rows,
+    previousRows = context._renderedRows || [],
+    options = {}
+) {
+    const { flash = false, flashDuration } = options;
+    const tbody = context.table?.querySelector("tbody");
+
+    // The virtual renderer only keeps the visible slice, let it redraw that
+    if (!tbody || context.virtualScroll) {
+        context.renderTable(rows);
+        return [];
+    }
+
+    // Cells also depend on the search term (highlighting), not only on data
+    const renderKey = String(context.search || "");
+    const rerenderAll = context._renderKey !== renderKey;
+    context._renderKey = renderKey;
+
+    const previousById = new Map(
+        rerenderAll ? [] : previousRows.map((row) => [String(row.id), row])
+    );
+    const existing = new Map();
+    Array.from(tbody.rows).forEach((tr) => {
+        // Drop empty/error state, detail and group rows, keep keyed rows
+        if (tr.dataset.id === undefined) tr.remove();
+        else existing.set(tr.dataset.id, tr);
+    });
+
+    const created = [];
+    const flashed = [];
+    let cursor = tbody.firstElementChild;
+
+    rows.forEach((row, rowIndex) => {
+        const id = String(row.id);
+        let tr = existing.get(id);
+
+        if (tr) {
+            existing.delete(id);
+            flashed.push(
+                ...updateRowElement(
+                    context,
+                    tr,
+                    row,
+                    previousById.get(id),
+                    rowIndex
+                )
+            );
+        } else {
+            tr = createRowElement(context, row, rowIndex);
+            created.push(tr);
+            flashed.push(...tr.cells);
+        }
+
+        if (tr === cursor) {
+            cursor = cursor.nextElementSibling;
+        } else {
+            tbody.insertBefore(tr, cursor);
+        }
+    });
+
+    existing.forEach((tr) => tr.remove());
+    context._renderedRows = [...rows];
+    syncRowDetails(context);
+    syncResponsiveRows(context);
+    syncRowGroups(context);
+    syncFooter(context);
+    syncPinnedColumns(context);
+
+    if (flash) flashCells(context, flashed, flashDuration);
+
+    return created;
+}
+
+/**
+ * Re-apply selection styling to rendered rows
+ * Rows created by patchRows() don't know about `selectedRows` yet.
+ * @param {Object} context - DataTable instance
+ */
+export function syncSelection(context) {
+    const selectable = context.selectable;
+    if (!selectable?.selectedRows) return;
+
+    context.table?.querySelectorAll("tbody tr[data-id]").forEach((tr) => {
+        selectable._updateRowVisualState(
+            tr,
+            selectable.selectedRows.has(tr.dataset.id)
+        );
+    });
+}
@@ -0,0 +1,262 @@
+/**
+ * Row Reorder Methods
+ * Internal methods for drag-and-drop row reordering (not public API)
+ *
+ * Rows are dragged by a handle in the handle column and moved within
+ * `context.data` (the current page). The keyed renderer then moves the
+ * existing <tr>s, so selection and open editors survive. When the async
+ * `onReorder` callback rejects, the move is undone.
+ */
+
+/**
+ * Normalize the `rowReorder` option
+ * @param {boolean|Object|null} rowReorder - true or { handleColumn, onReorder }
+ * @returns {Object|null} Normalized config or null when disabled
+ */
+export function normalizeRowReorderConfig(rowReorder) {
+    if (!rowReorder) return null;
+
+    const config = typeof rowReorder === "object" ? rowReorder : {};
+    if (config.onReorder && typeof config.onReorder !== "function") {
+        console.warn("rowReorder.onReorder must be a function");
+    }
+
+    return {
+        // true = first visible column, or a column name
+        handleColumn: config.handleColumn ?? true,
+        // ({ id, row, fromIndex, toIndex, before, after }) => void | Promise
+        onReorder:
+            typeof config.onReorder === "function" ? config.onReorder : null,
+    };
+}
+
+/**
+ * Split a theme value into class names
+ * @param {string} [value] - Theme value
+ * @returns {Array<string>} Class names
+ * @private
+ */
+function toClasses(value) {
+    return (value || "").split(" ").filter(Boolean);
+}
+
+/**
+ * Remove the drop indicators from all rows
+ * @param {Object} context - DataTable instance
+ * @private
+ */
+function clearDropIndicators(context) {
+    const classes = [
+        ...toClasses(context.theme.rowReorderTargetBefore),
+        ...toClasses(context.theme.rowReorderTargetAfter),
+    ];
+    if (!classes.length) return;
+    context.table
+        ?.querySelectorAll("tbody tr[data-id]")
+        .forEach((tr) => tr.classList.remove(...classes));
+}
+
+/**
+ * Find a row's index in the current data
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @returns {number} Index, -1 if not found
+ * @private
+ */
+function findRowIndex(context, id) {
+    return context.data.findIndex((row) => String(row.id) === id);
+}
+
+/**
+ * Move a row within the data and re-render
+ * @param {Object} context - DataTable instance
+ * @param {number} fromIndex - Current index
+ * @param {number} toIndex - New index
+ * @private
+ */
+function moveDataRow(context, fromIndex, toIndex) {
+    const [row] = context.data.splice(fromIndex, 1);
+    context.data.splice(toIndex, 0, row);
+    context.renderTable(context.data);
+}
+
+/**
+ * Dispatch a row reorder event on the table
+ * @param {Object} context - DataTable instance
+ * @param {string} name - "row-reorder" or "row-reorder-revert"
+ * @param {Object} detail - Event detail
+ * @private
+ */
+function emitReorderEvent(context, name, detail) {
+    context.table?.dispatchEvent(
+        new CustomEvent(`datatable:${name}`, { detail, bubbles: true })
+    );
+}
+
+/**
+ * Move a row to another position on the current page
+ * The move is shown right away and undone if `onReorder` rejects.
+ * @param {Object} context - DataTable instance
+ * @param {string|number} rowId - Row id
+ * @param {number} toIndex - New index in the current data
+ * @param {string} [source="api"] - "drag", "keyboard" or "api" (event detail)
+ * @returns {Promise<boolean>} True if the move was kept
+ */
+export async function moveRow(context, rowId, toIndex, source = "api") {
+    if (!context.rowReorder) {
+        console.warn("moveRow requires the rowReorder option");
+        return false;
+    }
+    // Moving a row away from its parent would break the hierarchy
+    if (context.tree) {
+        console.warn("Rows can't be reordered in tree mode");
+        return false;
+    }
+
+    const id = String(rowId);
+    const fromIndex = findRowIndex(context, id);
+    if (fromIndex === -1) {
+        console.warn(`Row "${id}" not found on the current page`);
+        return false;
+    }
+
+    const data = context.data;
+    const to = Math.max(0, Math.min(Number(toIndex) || 0, data.length - 1));
+    if (to === fromIndex) return false;
+
+    moveDataRow(context, fromIndex, to);
+
+    const row = data[to];
+    const detail = {
+        id: row.id,
+        row,
+        fromIndex,
+        toIndex: to,
+        before: data[to + 1]?.id ?? null, // row it now comes before
+        after: data[to - 1]?.id ?? null, // row it now comes after
+    };
+    emitReorderEvent(context, "row-reorder", { ...detail, source });
+
+    if (!context.rowReorder.onReorder) return true;
+
+    try {
+        await context.rowReorder.onReorder(detail);
+        return true;
+    } catch (error) {
+        console.error("Row reorder failed, reverting:", error);
+
+        // Leave the data alone if it was reloaded or moved again meanwhile
+        if (context.data === data && data[to] === row) {
+            moveDataRow(context, to, fromIndex);
+        }
+        emitReorderEvent(context, "row-reorder-revert", { ...detail, error });
+        return false;
+    }
+}
+
+/**
+ * Add the drag handle to a cell, if it's the handle column
+ * Called from renderCell() so re-rendered cells keep their handle.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} td - Rendered cell
+ * @param {Object} row - Row data
+ * @param {Object} column - Column config
+ */
+export function decorateReorderHandle(context, td, row, column) {
+    const config = context.rowReorder;
+    if (!config?.handleColumn || context.tree) return;
+
+    const handleColumn =
+        typeof config.handleColumn === "string"
+            ? config.handleColumn
+            : context.columns.find((col) => context.isColumnVisible(col.name))
+                  ?.name;
+    if (column.name !== handleColumn) return;
+
+    const id = String(row.id);
+    const handle = document.createElement("span");
+    handle.className = context.theme.rowReorderHandle || "";
+    handle.draggable = true;
+    handle.dataset.rowReorderHandle = "true";
+    handle.setAttribute("aria-label", "Drag to reorder");
+    handle.setAttribute("aria-keyshortcuts", "Alt+ArrowUp Alt+ArrowDown");
+    handle.style.cursor = "grab";
+    handle.textContent = "⠿";
+
+    handle.addEventListener("dragstart", (event) => {
+        const tr = td.closest("tr");
+        context._draggedRow = id;
+        event.dataTransfer.effectAllowed = "move";
+        event.dataTransfer.setData("text/plain", id);
+        // Show the whole row, not just the handle
+        if (tr) event.dataTransfer.setDragImage(tr, 0, 0);
+        tr?.classList.add(...toClasses(context.theme.rowReorderDragging));
+    });
+
+    handle.addEventListener("dragend", () => {
+        context._draggedRow = null;
+        td.closest("tr")?.classList.remove(
+            ...toClasses(context.theme.rowReorderDragging)
+        );
+        clearDropIndicators(context);
+    });
+
+    // Don't select the row
+    handle.addEventListener("click", (event) => event.stopPropagation());
+
+    td.prepend(handle);
+}
+
+/**
+ * Handle drops on the rows (`rowReorder`)
+ * @param {Object} context - DataTable instance
+ */
+export function bindRowReorder(context) {
+    if (!context.rowReorder || !context.table) return;
+
+    // Drop position: before or after the hovered row, by pointer position
+    const getTarget = (event) => {
+        const dragged = context._draggedRow;
+        const tr = event.target.closest("tbody tr[data-id]");
+        if (!dragged || !tr || tr.dataset.id === dragged) return null;
+
+        const rect = tr.getBoundingClientRect();
+        const after = event.clientY > rect.top + rect.height / 2;
+        return { tr, after };
+    };
+
+    context.table.addEventListener("dragover", (event) => {
+        const target = getTarget(event);
+        if (!target) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "move";
+        clearDropIndicators(context);
+        target.tr.classList.add(
+            ...toClasses(
+                target.after
+                    ? context.theme.rowReorderTargetAfter
+                    : context.theme.rowReorderTargetBefore
+            )
+        );
+    });
+
+    context.table.addEventListener("drop", (event) => {
+        const target = getTarget(event);
+        clearDropIndicators(context);
+        if (!target) return;
+
+        event.preventDefault();
+        const dragged = context._draggedRow;
+        const fromIndex = findRowIndex(context, dragged);
+        const targetIndex = findRowIndex(context, target.tr.dataset.id);
+        if (fromIndex === -1 || targetIndex === -1) return;
+
+        // Index once the dragged row is taken out
+        const toIndex =
+            targetIndex +
+            (target.after ? 1 : 0) -
+            (fromIndex < targetIndex ? 1 : 0);
+        moveRow(context, dragged, toIndex, "drag");
+    });
+}
@@ -0,0 +1,221 @@
+/**
+ * Tree Data Methods
+ * Internal methods that flatten hierarchical rows (not public API)
+ *
+ * Rows are linked either by a parent id (`parentField`) or by nested
+ * arrays (`childrenField`). The tree is flattened depth-first into the rows
+ * that are displayed, so rendering, pagination and the keyed renderer keep
+ * working on a plain list. Depth and expand state live in `_treeMeta`, set
+ * only for the rows the grid shows: client-side loads return their index
+ * and meta with the result, so exports and prefetched pages leave the
+ * grid's meta alone.
+ *
+ * Client-side mode filters and sorts the whole tree: siblings are sorted
+ * among themselves and ancestors of matching rows stay visible (expanded).
+ */
+
+import {
+    compareValues,
+    createRowMatcher,
+    paginateRows,
+} from "./clientDataMethods.js";
+
+/**
+ * Check whether a node is expanded
+ * `_treeToggled` holds the nodes that differ from the default state, so
+ * expandAll()/collapseAll() only have to flip the default.
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @returns {boolean} True if expanded
+ * @private
+ */
+function isExpanded(context, id) {
+    return context._treeExpandAll !== context._treeToggled.has(id);
+}
+
+/**
+ * Index rows by parent
+ * Lazily loaded children are merged in under their parent.
+ * @param {Object} context - DataTable instance
+ * @param {Array} rows - Rows (roots with nested children, or a flat list)
+ * @returns {Object} { nodes, parentOf, children }
+ * @private
+ */
+function indexTree(context, rows) {
+    const { parentField, childrenField } = context.tree;
+    const nodes = [];
+    const parentOf = new Map(); // id -> parent id (null for roots)
+    const children = new Map(); // parent id (null for roots) -> rows
+
+    const add = (row, parentId) => {
+        const id = String(row.id);
+        if (parentOf.has(id)) return; // also guards against cycles
+
+        nodes.push(row);
+        parentOf.set(id, parentId);
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(row);
+
+        if (childrenField && Array.isArray(row[childrenField])) {
+            row[childrenField].forEach((child) => add(child, id));
+        }
+    };
+
+    if (childrenField) {
+        rows.forEach((row) => add(row, null));
+    } else {
+        const ids = new Set(rows.map((row) => String(row.id)));
+        rows.forEach((row) => {
+            const parent = row[parentField];
+            // Rows whose parent isn't in the dataset are shown as roots
+            const parentId =
+                parent !== undefined &&
+                parent !== null &&
+                ids.has(String(parent))
+                    ? String(parent)
+                    : null;
+            add(row, parentId);
+        });
+    }
+
+    context._treeChildren.forEach((childRows, parentId) => {
+        if (parentOf.has(parentId) && !children.has(parentId)) {
+            childRows.forEach((child) => add(child, parentId));
+        }
+    });
+
+    return { nodes, parentOf, children };
+}
+
+/**
+ * Check whether a row has (possibly not yet loaded) children
+ * @param {Object} context - DataTable instance
+ * @param {Object} index - Tree index
+ * @param {Object} row - Row data
+ * @returns {boolean} True if the row can be expanded
+ * @private
+ */
+function isExpandable(context, index, row) {
+    const id = String(row.id);
+    if (index.children.has(id)) return true;
+    return (
+        Boolean(row[context.tree.hasChildrenField]) &&
+        !context._treeChildren.has(id)
+    );
+}
+
+/**
+ * Flatten the tree into the rows to display
+ * @param {Object} context - DataTable instance
+ * @param {Object} index - Tree index
+ * @param {Object} [options]
+ * @param {Set|null} [options.visible] - Ids to keep (null keeps all)
+ * @param {Set} [options.ancestors] - Ids to force open (ancestors of matches)
+ * @param {string} [options.sortBy] - Column to sort siblings by
+ * @param {string} [options.order] - Sort direction
+ * @returns {Object} { rows (displayed, depth-first), index, meta }
+ * @private
+ */
+function flattenTree(context, index, options = {}) {
+    const { visible = null, ancestors = new Set(), sortBy, order } = options;
+    const rows = [];
+    const meta = new Map();
+
+    const walk = (parentId, depth) => {
+        let siblings = index.children.get(parentId) || [];
+        if (visible) {
+            siblings = siblings.filter((row) => visible.has(String(row.id)));
+        }
+        if (sortBy) {
+            siblings = [...siblings].sort((a, b) =>
+                compareValues(a[sortBy], b[sortBy], order)
+            );
+        }
+
+        siblings.forEach((row) => {
+            const id = String(row.id);
+            const expandable = isExpandable(context, index, row);
+            // Lazy nodes open once their children are loaded
+            const expanded =
+                index.children.has(id) &&
+                (isExpanded(context, id) || ancestors.has(id));
+
+            meta.set(id, { depth, parentId, expandable, expanded });
+            rows.push(row);
+            if (expanded) walk(id, depth + 1);
+        });
+    };
+    walk(null, 0);
+
+    return { rows, index, meta };
+}
+
+/**
+ * Make a flattened tree the one the grid shows
+ * @param {Object} context - DataTable instance
+ * @param {Object|null} tree - { index, meta } from a load result
+ */
+export function setTreeMeta(context, tree) {
+    if (!tree) return;
+    context._treeIndex = tree.index;
+    context._treeMeta = tree.meta;
+}
+
+/**
+ * Filter, sort and paginate a tree (client-side mode)
+ * Used by the local data adapter instead of queryRows().
+ * @param {Object} context - DataTable instance
+ * @param {Array} rows - Full dataset
+ * @param {Object} query - Query object
+ * @returns {Object} { rows, current_page, last_page, total, tree }
+ */
+export function queryTreeRows(context, rows, query) {
+    const index = indexTree(context, rows || []);
+    const matches = createRowMatcher(query, context.columns);
+
+    // Keep matching rows and every ancestor on the way to the root
+    let visible = null;
+    const ancestors = new Set();
+    if (index.nodes.some((row) => !matches(row))) {
+        visible = new Set();
+        index.nodes.forEach((row) => {
+            if (!matches(row)) return;
+
+            const id = String(row.id);
+            visible.add(id);
+
+            let parentId = index.parentOf.get(id);
+            while (parentId !== null && !ancestors.has(parentId)) {
+                ancestors.add(parentId);
+                visible.add(parentId);
+                parentId = index.parentOf.get(parentId);
+            }
+        });
+    }
+
+    const { rows: flat, meta } = flattenTree(context, index, {
+        visible,
+        ancestors,
+        sortBy: query.sortBy,
+        order: query.order,
+    });
+
+    return {
+        ...paginateRows(flat, query.page, query.perPage),
+        // Applied by the grid with setTreeMeta(), not here
+        tree: { index, meta },
+    };
+}
+
+/**
+ * Flatten a page of rows returned by the server
+ * @param {Object} context - DataTable instance
+ * @param {Array} rows - Rows of the current page
+ * @returns {Array} Displayed rows, depth-first
+ */
+export function flattenTreeRows(context, rows) {
+    context._treeRows = rows;
+    const tree = flattenTree(context, indexTree(context, rows));
+    setTreeMeta(context, tree);
+    return tree.rows;
+}
@@ -0,0 +1,381 @@
+/**
+ * Tree Methods
+ * Internal methods for expanding, collapsing and selecting tree rows
+ * (not public API)
+ *
+ * See treeDataMethods.js for how rows are flattened. Server-side mode
+ * displays the page as returned and loads children on demand through the
+ * data adapter (or `tree.loadChildren`).
+ */
+
+import { flattenTreeRows } from "./treeDataMethods.js";
+import { loadData, buildTableQuery } from "./dataAdapterMethods.js";
+import { emitError } from "../api/eventHandlerMethods.js";
+import { syncSelection } from "./rowPatchMethods.js";
+
+/**
+ * Normalize the `tree` option
+ * @param {boolean|Object|null} tree - true or { parentField, childrenField,
+ *   hasChildrenField, toggleColumn, indent, expanded, loadChildren,
+ *   cascadeSelection }
+ * @returns {Object|null} Normalized config or null when disabled
+ */
+export function normalizeTreeConfig(tree) {
+    if (!tree) return null;
+
+    const options = typeof tree === "object" ? tree : {};
+    return {
+        childrenField: options.childrenField || null,
+        parentField: options.childrenField
+            ? null
+            : options.parentField || "parent_id",
+        // Flag for rows whose children haven't been loaded yet
+        hasChildrenField: options.hasChildrenField || "has_children",
+        // true = first visible column, or a column name
+        toggleColumn: options.toggleColumn ?? true,
+        indent: options.indent ?? 20, // px per level
+        expanded: options.expanded === true, // start fully expanded
+        loadChildren:
+            typeof options.loadChildren === "function"
+                ? options.loadChildren // (row) => Promise<rows>
+                : null,
+        cascadeSelection: options.cascadeSelection === true,
+    };
+}
+
+/**
+ * Render the tree again after a node was expanded or collapsed
+ * Client-side trees reload through fetchData(), so a newer request still
+ * wins and groups, totals and pagination stay in step. Its errors are
+ * reported there.
+ * @param {Object} context - DataTable instance
+ * @returns {Promise<void>}
+ * @private
+ */
+async function refreshTree(context) {
+    if (!context.serverSide) {
+        // The expand state is part of the cache key, no stale pages
+        await context.fetchData({ preserve: true, flash: false });
+        return;
+    }
+
+    context.data = flattenTreeRows(context, context._treeRows || []);
+    if (context.data.length) {
+        context.renderTable(context.data);
+        syncSelection(context);
+    } else {
+        context.showEmptyStateInTable("No records found.");
+    }
+}
+
+/**
+ * Load a node's children through `loadChildren` or the data adapter
+ * @param {Object} context - DataTable instance
+ * @param {Object} row - Parent row
+ * @returns {Promise<void>}
+ * @private
+ */
+async function loadChildren(context, row) {
+    const id = String(row.id);
+    const { loadChildren: load, parentField } = context.tree;
+
+    if (!load && !context.serverSide) {
+        console.warn(
+            "tree.loadChildren is required for lazy rows in client-side mode"
+        );
+        context._treeChildren.set(id, []);
+        return;
+    }
+
+    context._treeLoading.add(id);
+    updateRowToggle(context, id);
+
+    try {
+        let rows;
+        if (load) {
+            rows = await load(row);
+        } else {
+            const query = buildTableQuery(context, {
+                page: 1,
+                perPage: 0,
+                filters: {
+                    ...(context.filters || {}),
+                    [parentField || "parent_id"]: row.id,
+                },
+                parentId: row.id,
+                purpose: "children",
+            });
+            rows = (await loadData(context, query)).rows;
+        }
+        context._treeChildren.set(id, Array.isArray(rows) ? rows : []);
+    } finally {
+        context._treeLoading.delete(id);
+    }
+}
+
+/**
+ * Dispatch a tree event on the table
+ * @param {Object} context - DataTable instance
+ * @param {string} name - "expand" or "collapse"
+ * @param {string} id - Row id
+ * @private
+ */
+function emitTreeEvent(context, name, id) {
+    context.table?.dispatchEvent(
+        new CustomEvent(`datatable:node-${name}`, {
+            detail: {
+                rowId: id,
+                rowData: context.data.find((row) => String(row.id) === id),
+            },
+            bubbles: true,
+        })
+    );
+}
+
+/**
+ * Expand a tree node, loading its children first if needed
+ * @param {Object} context - DataTable instance
+ * @param {string|number} rowId - Row id
+ * @returns {Promise<boolean>} True if the node is expanded
+ */
+export async function expandNode(context, rowId) {
+    const id = String(rowId);
+    const meta = context._treeMeta.get(id);
+    if (!context.tree || !meta?.expandable) return false;
+    if (meta.expanded || context._treeLoading.has(id)) return meta.expanded;
+
+    const row = context.data.find((item) => String(item.id) === id);
+    const index = context._treeIndex;
+    if (row && !index?.children.has(id) && !context._treeChildren.has(id)) {
+        try {
+            await loadChildren(context, row);
+        } catch (e) {
+            console.error("Error loading child rows:", e);
+            emitError(context, e, { rowId: id });
+            updateRowToggle(context, id);
+            return false;
+        }
+    }
+
+    if (context._treeExpandAll) context._treeToggled.delete(id);
+    else context._treeToggled.add(id);
+
+    await refreshTree(context);
+    emitTreeEvent(context, "expand", id);
+    return true;
+}
+
+/**
+ * Collapse a tree node
+ * @param {Object} context - DataTable instance
+ * @param {string|number} rowId - Row id
+ * @returns {Promise<boolean>} True if the node was collapsed
+ */
+export async function collapseNode(context, rowId) {
+    const id = String(rowId);
+    if (!context.tree || !context._treeMeta.get(id)?.expanded) return false;
+
+    if (context._treeExpandAll) context._treeToggled.add(id);
+    else context._treeToggled.delete(id);
+
+    await refreshTree(context);
+    emitTreeEvent(context, "collapse", id);
+    return true;
+}
+
+/**
+ * Expand or collapse a tree node
+ * @param {Object} context - DataTable instance
+ * @param {string|number} rowId - Row id
+ * @returns {Promise<boolean>} True if the node is now expanded
+ */
+export async function toggleNode(context, rowId) {
+    const id = String(rowId);
+    if (context._treeMeta.get(id)?.expanded) {
+        await collapseNode(context, id);
+        return false;
+    }
+    return expandNode(context, id);
+}
+
+/**
+ * Expand every loaded node (lazy nodes stay closed until opened)
+ * @param {Object} context - DataTable instance
+ * @returns {Promise<void>}
+ */
+export async function expandAllNodes(context) {
+    if (!context.tree) return;
+    context._treeExpandAll = true;
+    context._treeToggled.clear();
+    await refreshTree(context);
+}
+
+/**
+ * Collapse every node
+ * @param {Object} context - DataTable instance
+ * @returns {Promise<void>}
+ */
+export async function collapseAllNodes(context) {
+    if (!context.tree) return;
+    context._treeExpandAll = false;
+    context._treeToggled.clear();
+    await refreshTree(context);
+}
+
+/**
+ * Get the ids of expanded nodes on the current page
+ * @param {Object} context - DataTable instance
+ * @returns {Array<string>} Expanded row ids
+ */
+export function getExpandedNodeIds(context) {
+    return Array.from(context._treeMeta || [])
+        .filter(([, meta]) => meta.expanded)
+        .map(([id]) => id);
+}
+
+/**
+ * Resolve the column that holds the indentation and toggle
+ * @param {Object} context - DataTable instance
+ * @returns {string|undefined} Column name
+ * @private
+ */
+function getToggleColumn(context) {
+    const { toggleColumn } = context.tree;
+    return typeof toggleColumn === "string"
+        ? toggleColumn
+        : context.columns.find((column) => context.isColumnVisible(column.name))
+              ?.name;
+}
+
+/**
+ * Bring a toggle button in line with the node's state
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} button - Toggle button
+ * @param {string} id - Row id
+ * @private
+ */
+function updateToggleButton(context, button, id) {
+    const meta = context._treeMeta.get(id);
+    const loading = context._treeLoading.has(id);
+
+    button.style.visibility = meta?.expandable ? "" : "hidden";
+    button.disabled = !meta?.expandable;
+    button.setAttribute("aria-expanded", String(Boolean(meta?.expanded)));
+    button.setAttribute("aria-busy", String(loading));
+    button.textContent = loading ? "…" : meta?.expanded ? "▾" : "▸";
+}
+
+/**
+ * Indent the toggle column cell and add the expand/collapse button
+ * Called from renderCell(); leaf rows get a hidden button so labels on the
+ * same level line up.
+ * @param {Object} context - DataTable instance
+ * @param {HTMLElement} td - Rendered cell
+ * @param {Object} row - Row data
+ * @param {Object} column - Column config
+ */
+export function decorateTreeCell(context, td, row, column) {
+    if (column.name !== getToggleColumn(context)) return;
+
+    const id = String(row.id);
+    const meta = context._treeMeta.get(id);
+    if (!meta) return;
+
+    const indent = document.createElement("span");
+    indent.style.display = "inline-block";
+    indent.style.width = `${meta.depth * context.tree.indent}px`;
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = context.theme.treeToggle || "";
+    button.dataset.treeToggle = "true";
+    button.setAttribute("aria-label", "Toggle child rows");
+    updateToggleButton(context, button, id);
+    button.addEventListener("click", (event) => {
+        // Don't select the row as well
+        event.stopPropagation();
+        toggleNode(context, id).catch((error) => {
+            console.error("Error toggling tree node:", error);
+            emitError(context, error, { rowId: id });
+        });
+    });
+
+    td.prepend(indent, button);
+}
+
+/**
+ * Update the toggle button of a rendered row (e.g. while loading)
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @private
+ */
+function updateRowToggle(context, id) {
+    const button = context.table?.querySelector(
+        `tbody tr[data-id="${CSS.escape(id)}"] [data-tree-toggle]`
+    );
+    if (button) updateToggleButton(context, button, id);
+}
+
+/**
+ * Collect the ids below a node (loaded ones only)
+ * @param {Object} context - DataTable instance
+ * @param {string} id - Row id
+ * @returns {Array<string>} Descendant ids
+ * @private
+ */
+function getDescendantIds(context, id) {
+    const ids = [];
+    const walk = (parentId) => {
+        (context._treeIndex?.children.get(parentId) || []).forEach((row) => {
+            const childId = String(row.id);
+            ids.push(childId);
+            walk(childId);
+        });
+    };
+    walk(id);
+    return ids;
+}
+
+/**
+ * Set up tree mode: ARIA role and cascading selection
+ * The cascade runs after the Selectable click handler (registered first),
+ * so the clicked row's new state is known. Collapsed descendants are added
+ * to the selection without being rendered; a `datatable:selection-change`
+ * event ({ ids, selected, selectedIds }) reports the whole branch.
+ * @param {Object} context - DataTable instance
+ */
+export function initTree(context) {
+    if (!context.tree || !context.table) return;
+
+    context.table.setAttribute("role", "treegrid");
+    if (!context.tree.cascadeSelection) return;
+
+    context.table.addEventListener("click", (event) => {
+        const selectable = context.selectable;
+        if (!selectable?.selectable || selectable.selectMode !== "multiple") {
+            return;
+        }
+
+        const row = event.target.closest("tbody tr[data-id]");
+        if (!row) return;
+
+        const selected = selectable.isSelected(row.dataset.id);
+        const ids = selectable.setRowsSelected(
+            getDescendantIds(context, row.dataset.id),
+            selected
+        );
+        if (!ids.length) return;
+
+        // One event for the whole branch, hidden descendants included
+        context.table.dispatchEvent(
+            new CustomEvent("datatable:selection-change", {
+                detail: {
+                    ids,
+                    selected,
+                    selectedIds: selectable.getSelectedIds(),
+                },
+                bubbles: true,
+            })
+        );
+    });
+}
@@ -0,0 +1,296 @@
+/**
+ * Virtual Scroll Methods
+ * Internal methods for the virtualized table body (not public API)
+ *
+ * Only the rows inside the scroll wrapper's viewport (plus a buffer) are in
+ * the DOM. Two spacer rows above and below keep the scroll height of the
+ * full dataset, so scrollbars and scroll position behave normally.
+ *
+ * Rows don't all have the same height: open details and responsive child
+ * rows sit below their row. Every rendered row is measured together with
+ * its child rows (`_virtualHeights`, by row id); rows that haven't been
+ * rendered yet count with the estimated row height. The row offsets built
+ * from them are cached and binary searched while scrolling.
+ */
+
+import {
+    createScrollWrapper,
+    hidePaginationIfNeeded,
+} from "./infiniteScrollMethods.js";
+import { createRowElement } from "./rowPatchMethods.js";
+import { syncRowDetails } from "./rowDetailsMethods.js";
+import { syncResponsiveRows } from "./responsiveMethods.js";
+import { syncPinnedColumns } from "./columnPinMethods.js";
+
+/**
+ * Normalize the `virtualScroll` option
+ * @param {boolean|Object} virtualScroll - true or { enabled, rowHeight, buffer, height }
+ * @returns {Object} { enabled, rowHeight, buffer, height }
+ */
+export function normalizeVirtualScrollConfig(virtualScroll) {
+    const options =
+        virtualScroll && typeof virtualScroll === "object" ? virtualScroll : {};
+    return {
+        enabled: virtualScroll === true || options.enabled === true,
+        rowHeight: Number(options.rowHeight) || null, // measured when null
+        buffer: options.buffer ?? 10,
+        height: options.height || "70vh",
+    };
+}
+
+/**
+ * Initialize virtual scrolling
+ * @param {Object} context - DataTable instance
+ */
+export function initVirtualScroll(context) {
+    if (!context.virtualScroll) return;
+
+    const hadWrapper = Boolean(context.scrollWrapper);
+    createScrollWrapper(context);
+    if (!hadWrapper && context.scrollWrapper) {
+        context.scrollWrapper.style.height = context.virtualScrollConfig.height;
+    }
+    if (!context.scrollWrapper) return;
+
+    // Client-side data is rendered as one long list instead of pages
+    if (!context.serverSide && !context.infiniteScroll) {
+        hidePaginationIfNeeded(context);
+    }
+
+    let frame = null;
+    const onScroll = () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            renderVirtualRows(context, context.data);
+        });
+    };
+
+    context.scrollWrapper.addEventListener("scroll", onScroll, {
+        passive: true,
+    });
+    context._virtualScrollCleanup = () => {
+        context.scrollWrapper?.removeEventListener("scroll", onScroll);
+        if (frame) cancelAnimationFrame(frame);
+    };
+}
+
+/**
+ * Create a spacer row of the given height
+ * @param {number} height - Height in px
+ * @param {number} colSpan - Number of visible columns
+ * @returns {HTMLTableRowElement} Spacer row
+ * @private
+ */
+function createSpacer(height, colSpan) {
+    const tr = document.createElement("tr");
+    tr.dataset.spacer = "true";
+    tr.setAttribute("aria-hidden", "true");
+
+    const td = document.createElement("td");
+    td.colSpan = colSpan;
+    td.style.cssText = `height: ${height}px; padding: 0; border: 0;`;
+    tr.appendChild(td);
+
+    return tr;
+}
+
+/**
+ * Record the height of every rendered row, child rows included
+ * @param {Object} context - DataTable instance
+ * @param {HTMLTableSectionElement} tbody - Table body
+ * @returns {boolean} True if a height changed
+ * @private
+ */
+function measureRenderedRows(context, tbody) {
+    const heights = context._virtualHeights;
+    let changed = false;
+    let id = null;
+    let height = 0;
+    const record = () => {
+        // Nothing to learn from a hidden table
+        if (id === null || !height || heights.get(id) === height) return;
+        heights.set(id, height);
+        changed = true;
+    };
+
+    Array.from(tbody.rows).forEach((tr) => {
+        if (tr.dataset.spacer) return;
+        if (tr.dataset.id !== undefined) {
+            record();
+            id = tr.dataset.id;
+            height = 0;
+        }
+        // Detail and responsive rows count towards the row above them
+        if (id !== null) height += tr.getBoundingClientRect().height;
+    });
+    record();
+
+    return changed;
+}
+
+/**
+ * Get the top offset of every row
+ * Built once per dataset and again when a measured height changes, so
+ * scrolling only has to search it.
+ * @param {Object} context - DataTable instance
+ * @param {Array} rows - Full list of rows
+ * @param {number} rowHeight - Height of rows that weren't measured yet
+ * @returns {Float64Array} Offsets, one per row plus the total height
+ * @private
+ */
+function getRowOffsets(context, rows, rowHeight) {
+    const cache = context._virtualOffsets;
+    if (cache?.rows === rows && cache.rowHeight === rowHeight) {
+        return cache.offsets;
+    }
+
+    const heights = context._virtualHeights;
+    const offsets = new Float64Array(rows.length + 1);
+    rows.forEach((row, index) => {
+        offsets[index + 1] =
+            offsets[index] + (heights.get(String(row.id)) ?? rowHeight);
+    });
+
+    context._virtualOffsets = { rows, rowHeight, offsets };
+    return offsets;
+}
+
+/**
+ * Binary search the first offset past a position
+ * @param {Float64Array} offsets - Row offsets
+ * @param {number} position - Position in px
+ * @returns {number} Index of the first offset > position
+ * @private
+ */
+function findOffset(offsets, position) {
+    let low = 0;
+    let high = offsets.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (offsets[middle] > position) high = middle;
+        else low = middle + 1;
+    }
+    return low;
+}
+
+/**
+ * Find the rows to render for a scroll position
+ * @param {Object} context - DataTable instance
+ * @param {Array} rows - Full list of rows
+ * @param {number} scrollTop - Scroll offset inside the tbody
+ * @param {number} viewport - Visible height
+ * @param {number} rowHeight - Height of rows that weren't measured yet
+ * @returns {Object} { start, end, top, bottom } - slice and spacer heights
+ * @private
+ */
+function getVisibleRange(context, rows, scrollTop, viewport, rowHeight) {
+    const buffer = context.virtualScrollConfig.buffer;
+    const offsets = getRowOffsets(context, rows, rowHeight);
+
+    const firstVisible = findOffset(offsets, scrollTop) - 1;
+    const lastVisible = findOffset(offsets, scrollTop + viewport);
+    const start = Math.max(0, Math.min(firstVisible, rows.length) - buffer);
+    const end = Math.min(rows.length, lastVisible + buffer);
+
+    return {
+        start,
+        end,
+        top: offsets[start],
+        bottom: offsets[rows.length] - offsets[end],
+    };
+}
+
+/**
+ * Render the rows visible in the scroll wrapper
+ * @param {Object} context - DataTable instance
+ * @param {Array} rows - Full list of rows to virtualize
+ * @param {boolean} [force=false] - Re-render even if the visible slice is unchanged
+ */
+export function renderVirtualRows(context, rows = [], force = false) {
+    const wrapper = context.scrollWrapper;
+    const tbody =
+        context.table.querySelector("tbody") || context.createTBody();
+    if (!wrapper) return;
+
+    tbody.className = context.theme.body || "";
+
+    const config = context.virtualScrollConfig;
+    const rowHeight = config.rowHeight || context._virtualRowHeight || 40;
+
+    // Rows rendered last time, details may have opened since
+    if (!context._virtualHeights) context._virtualHeights = new Map();
+    if (measureRenderedRows(context, tbody)) context._virtualOffsets = null;
+
+    // Scroll offset inside the tbody (header and controls sit above it)
+    const bodyOffset =
+        tbody.getBoundingClientRect().top -
+        wrapper.getBoundingClientRect().top +
+        wrapper.scrollTop;
+    const scrollTop = Math.max(0, wrapper.scrollTop - bodyOffset);
+
+    const { start, end, top, bottom } = getVisibleRange(
+        context,
+        rows,
+        scrollTop,
+        wrapper.clientHeight,
+        rowHeight
+    );
+
+    // Nothing moved far enough to change the rendered slice
+    const range = context._virtualRange;
+    if (
+        !force &&
+        range &&
+        range.rows === rows &&
+        range.start === start &&
+        range.end === end &&
+        range.top === top &&
+        range.bottom === bottom &&
+        tbody.rows.length
+    ) {
+        return;
+    }
+    context._virtualRange = { rows, start, end, top, bottom };
+
+    const colSpan =
+        context.columns.filter((column) =>
+            context.isColumnVisible(column.name)
+        ).length || 1;
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(createSpacer(top, colSpan));
+    for (let index = start; index < end; index++) {
+        fragment.appendChild(createRowElement(context, rows[index], index));
+    }
+    fragment.appendChild(createSpacer(bottom, colSpan));
+
+    tbody.replaceChildren(fragment);
+    syncRowDetails(context);
+    syncResponsiveRows(context);
+    syncPinnedColumns(context);
+    if (measureRenderedRows(context, tbody)) context._virtualOffsets = null;
+
+    // Measure the real row height once and re-render with it
+    if (!config.rowHeight && !context._virtualRowHeight && end > start) {
+        const measured = tbody.rows[1]?.getBoundingClientRect().height;
+        if (measured) {
+            context._virtualRowHeight = measured;
+            renderVirtualRows(context, rows);
+        }
+    }
+}
+
+/**
+ * Remove the virtual scroll listener
+ * @param {Object} context - DataTable instance
+ */
+export function destroyVirtualScroll(context) {
+    if (context._virtualScrollCleanup) {
+        context._virtualScrollCleanup();
+        context._virtualScrollCleanup = null;
+    }
+    context._virtualRange = null;
+    context._virtualHeights = null;
+    context._virtualOffsets = null;
+}
@@ -1,4 +1,4 @@
-import { DEFAULT_THEME } from "./datatable-theme";
+import { DEFAULT_THEME } from "./datatable-theme.js";
 
 export class Selectable {
     /**
@@ -240,6 +240,24 @@ export class Selectable {
         return this.selectedRows.size;
     }
 
+    // Rows that aren't rendered (collapsed, other page) only change the set
+    setRowsSelected(ids = [], selected = true) {
+        const changed = ids.filter((id) => this.isSelected(id) !== selected);
+        changed.forEach((id) => {
+            const row = this.table.querySelector(
+                `tr[data-id="${CSS.escape(id)}"]`
+            );
+            if (row) {
+                selected ? this._selectRow(row) : this._deselectRow(row);
+            } else {
+                selected
+                    ? this.selectedRows.add(id)
+                    : this.selectedRows.delete(id);
+            }
+        });
+        return changed;
+    }
+
     invertSelection() {
         if (this.selectMode === "single") {
             const firstRow = this.table.querySelector("tr[data-id]");
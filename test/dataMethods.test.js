@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createTableElement } from "./setup.js";
+import DataTable from "../src/datatable.js";
+
+/**
+ * Render a client-side table and wait for the first load
+ * @param {Array} data - Rows
+ * @returns {Promise<DataTable>} Table
+ */
+async function renderTable(data) {
+    createTableElement();
+    const table = new DataTable({
+        tableId: "table",
+        data,
+        columns: [{ name: "id" }, { name: "name" }],
+        rowAnimation: false,
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    return table;
+}
+
+/**
+ * Text of the cells in a column
+ * @param {string} name - Column name
+ * @returns {Array<string>} Cell texts, top to bottom
+ */
+function columnText(name) {
+    return Array.from(
+        document.querySelectorAll(`tbody td[data-column="${name}"]`),
+        (td) => td.textContent
+    );
+}
+
+test("redraw() shows rows edited in place", async () => {
+    const data = [
+        { id: 1, name: "Ada" },
+        { id: 2, name: "Grace" },
+    ];
+    const table = await renderTable(data);
+    assert.deepEqual(columnText("name"), ["Ada", "Grace"]);
+
+    data[0].name = "Alan";
+    table.redraw();
+    assert.deepEqual(columnText("name"), ["Alan", "Grace"]);
+});
+
+test("draw() shows rows edited in place", async () => {
+    const data = [{ id: 1, name: "Ada" }];
+    const table = await renderTable(data);
+
+    table.data[0].name = "Alan";
+    table.draw();
+    assert.deepEqual(columnText("name"), ["Alan"]);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    computeFooterValues,
+    createExportFooter,
+    getFooterCells,
+} from "../src/methods/footerMethods.js";
+
+const columns = [
+    { name: "name" },
+    {
+        name: "amount",
+        footer: { aggregate: "max", format: { minimumFractionDigits: 2 } },
+    },
+];
+
+test("footers aggregate large client-side datasets", () => {
+    const rows = Array.from({ length: 500000 }, (_, index) => ({
+        amount: index,
+    }));
+    assert.deepEqual(computeFooterValues(rows, columns), { amount: 499999 });
+
+    const footer = createExportFooter({ locale: "en-US" }, columns);
+    footer.add(rows);
+    assert.deepEqual(footer.getCells(), ["Total", "499,999.00"]);
+});
+
+test("footer numbers use the table locale", () => {
+    const cells = getFooterCells(
+        { locale: "de-DE" },
+        columns,
+        { amount: 1234.5 },
+        "page",
+        "Total"
+    );
+    assert.deepEqual(cells, ["Total", "1.234,50"]);
+});
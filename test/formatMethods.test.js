@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    formatValue,
+    getExportValue,
+    toEditorValue,
+} from "../src/methods/formatMethods.js";
+
+// West of UTC, where UTC midnight is still the day before
+process.env.TZ = "America/New_York";
+
+const context = { locale: "en-US" };
+
+test("date-only values format as the same day west of UTC", () => {
+    const column = { name: "due", format: "date" };
+    assert.equal(formatValue(context, column, "2024-01-15"), "Jan 15, 2024");
+});
+
+test("date-only values pre-fill the date editor with the same day", () => {
+    assert.equal(toEditorValue("date", "2024-01-15"), "2024-01-15");
+    assert.equal(
+        toEditorValue("datetime-local", "2024-01-15"),
+        "2024-01-15T00:00"
+    );
+});
+
+test("date-time strings keep their time zone", () => {
+    const value = "2024-01-15T12:00:00Z";
+    assert.equal(
+        toEditorValue("datetime-local", value),
+        toEditorValue("datetime-local", new Date(value))
+    );
+});
+
+test("export values keep 0 and false", () => {
+    assert.equal(getExportValue(null, { name: "count" }, 0), 0);
+    assert.equal(getExportValue(null, { name: "active" }, false), false);
+    assert.equal(getExportValue(null, { name: "note" }, null), "");
+});
@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { AGGREGATES } from "../src/methods/rowGroupMethods.js";
+
+test("min and max handle more values than fit on the stack", () => {
+    const values = Array.from({ length: 500000 }, (_, index) => index - 1000);
+    assert.equal(AGGREGATES.min(values, []), -1000);
+    assert.equal(AGGREGATES.max(values, []), 498999);
+});
+
+test("min and max are null without values", () => {
+    assert.equal(AGGREGATES.min([], []), null);
+    assert.equal(AGGREGATES.max([], []), null);
+});
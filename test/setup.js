@@ -0,0 +1,52 @@
+/**
+ * Test setup
+ * A jsdom window as the global browser environment, for tests that render
+ * a DataTable.
+ */
+
+import { JSDOM } from "jsdom";
+
+const dom = new JSDOM("<!DOCTYPE html><html><body></body></html>", {
+    url: "http://localhost/",
+    pretendToBeVisual: true,
+});
+
+const { window } = dom;
+
+[
+    "window",
+    "document",
+    "navigator",
+    "localStorage",
+    "sessionStorage",
+    "CustomEvent",
+    "Event",
+    "Node",
+    "HTMLElement",
+    "HTMLInputElement",
+    "DOMParser",
+    "getComputedStyle",
+    "requestAnimationFrame",
+    "cancelAnimationFrame",
+].forEach((name) => {
+    Object.defineProperty(globalThis, name, {
+        value: window[name],
+        configurable: true,
+        writable: true,
+    });
+});
+
+// jsdom has no CSS.escape
+globalThis.CSS = window.CSS ?? {
+    escape: (value) => String(value).replace(/["\\]/g, "\\$&"),
+};
+
+/**
+ * Add a <table> to the document
+ * @param {string} [id="table"] - Table id
+ * @returns {HTMLTableElement} Table element
+ */
+export function createTableElement(id = "table") {
+    document.body.innerHTML = `<table id="${id}"></table>`;
+    return document.getElementById(id);
+}